@@ -0,0 +1,294 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const escodegen = require('escodegen');
+const estraverse = require('estraverse');
+const {RuleSnapshot, evaluate, matchChild, formatPath} = require('./simulator');
+const {parseFile, walkValue} = require('./json_parser');
+
+
+function flatten(node) {
+  if (node.type !== 'LogicalExpression' || node.operator !== '&&') return [node];
+  return flatten(node.left).concat(flatten(node.right));
+}
+
+// Returns whether the expression looks at data outside the node it validates, which isn't available
+// while streaming.
+function isExternal(ast) {
+  let external = false;
+  estraverse.traverse(ast, {
+    enter: (node, parent) => {
+      if (node.type === 'Identifier' && node.name === 'root' && !(
+        parent && parent.type === 'MemberExpression' && !parent.computed &&
+        parent.property === node
+      ) || node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+          !node.callee.computed && node.callee.property.name === 'parent') {
+        external = true;
+        return estraverse.VisitorOption.Break;
+      }
+    }
+  });
+  return external;
+}
+
+// The parts of a node that a rule reads are described by a tree of needs: a need with full set
+// takes the whole subtree, and otherwise only the needed children, if they exist.
+const FULL = {full: true, children: {}};
+
+// Returns the path of child keys of an expression like newData.child('a').child('b').
+function snapshotPath(node) {
+  if (node.type === 'Identifier') {
+    return node.name === 'newData' || node.name === 'data' ? [] : null;
+  }
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+      node.callee.computed || node.callee.property.name !== 'child' ||
+      node.arguments.length !== 1 || node.arguments[0].type !== 'Literal') {
+    return null;
+  }
+  const path = snapshotPath(node.callee.object);
+  return path && path.concat(_.compact(String(node.arguments[0].value).split('/')));
+}
+
+function addNeed(needs, path, full) {
+  let need = needs;
+  for (const key of path) {
+    if (need.full) return;
+    if (!_.has(need.children, key)) need.children[key] = {children: {}};
+    need = need.children[key];
+  }
+  if (full) {
+    need.full = true;
+    need.children = {};
+  }
+}
+
+function childNeed(need, key) {
+  if (need.full) return FULL;
+  return _.has(need.children, key) ? need.children[key] : undefined;
+}
+
+function mergeNeeds(a, b) {
+  if (!a || !b) return a || b;
+  if (a.full || b.full) return FULL;
+  const children = _.clone(a.children);
+  _.forEach(b.children, (need, key) => {
+    children[key] = mergeNeeds(children[key], need);
+  });
+  return {children};
+}
+
+// Adds the parts of the snapshot that the expression reads.  Existence checks only need to know
+// whether a child is there, but anything else takes the whole subtree.
+function collectNeeds(ast, needs) {
+  estraverse.traverse(ast, {
+    enter: node => {
+      const path = snapshotPath(node);
+      if (path) {
+        addNeed(needs, path, true);
+        return estraverse.VisitorOption.Skip;
+      }
+      const callee = node.type === 'CallExpression' && node.callee;
+      const object = callee && callee.type === 'MemberExpression' && !callee.computed &&
+        snapshotPath(callee.object);
+      if (!object) return;
+      const args = node.arguments;
+      const keys = args.length === 1 && (args[0].type === 'ArrayExpression' ?
+        args[0].elements : [args[0]]);
+      const literal = keys && _.every(keys, key => key && key.type === 'Literal');
+      switch (callee.property.name) {
+        case 'exists':
+          addNeed(needs, object, false);
+          break;
+        case 'hasChild': case 'hasChildren':
+          if (literal) {
+            _.forEach(keys, key => addNeed(needs, object.concat([String(key.value)]), false));
+            break;
+          }
+          /* fall through */
+        default:
+          addNeed(needs, object, true);
+          _.forEach(args, arg => collectNeeds(arg, needs));
+      }
+      return estraverse.VisitorOption.Skip;
+    }
+  });
+}
+
+
+// Walks a database export as it gets parsed, checking every node against the .validate rule that
+// applies to it.  Nodes are only kept in memory while a rule above them reads them, and then only
+// the parts that it reads.
+class Auditor {
+  constructor(rules, options) {
+    if (_.isPlainObject(rules) && _.isEqual(_.keys(rules), ['rules'])) rules = rules.rules;
+    this.rules = rules;
+    options = options || {};
+    this.limit = _.isNumber(options.limit) ? options.limit : 20;
+    this.auth = options.auth || null;
+    this.now = _.isNumber(options.now) ? options.now : Date.now();
+    this.stack = [];
+    this.validations = new Map();
+    this.needs = new Map();
+    this.violations = new Map();
+    this.skipped = new Map();
+    this.nodes = 0;
+  }
+
+  audit(file) {
+    parseFile(file, this);
+    return this.result();
+  }
+
+  auditData(data) {
+    walkValue(data, this);
+    return this.result();
+  }
+
+  result() {
+    const byRule = group => _.sortBy(Array.from(group.values()), ['rulePath', 'expression']);
+    return {nodes: this.nodes, violations: byRule(this.violations), skipped: byRule(this.skipped)};
+  }
+
+  open(key) {
+    this.stack.push(this.frame(key));
+  }
+
+  value(key, value) {
+    const frame = this.frame(key);
+    frame.value = value;
+    frame.present = value !== null;
+    this.finish(frame);
+  }
+
+  close() {
+    this.finish(this.stack.pop());
+  }
+
+  frame(key) {
+    const parent = _.last(this.stack);
+    const frame = parent ?
+      {key, segments: parent.segments.concat([key]), ruleSegments: parent.ruleSegments,
+        bindings: parent.bindings} :
+      {segments: [], ruleSegments: [], bindings: {}, rules: this.rules};
+    const match = parent && matchChild(parent.rules, key);
+    if (match) {
+      frame.rules = match.node;
+      frame.ruleSegments = parent.ruleSegments.concat([match.variable || key]);
+      if (match.variable) frame.bindings = _.assign({}, parent.bindings, {[match.variable]: key});
+    }
+    const validated = _.isPlainObject(frame.rules) && '.validate' in frame.rules;
+    frame.needs = mergeNeeds(
+      validated && this.needsOf(frame.rules['.validate']),
+      parent && parent.needs && childNeed(parent.needs, key));
+    if (frame.needs) frame.value = {};
+    return frame;
+  }
+
+  finish(frame) {
+    this.nodes += 1;
+    if (!frame.present) return;
+    const parent = _.last(this.stack);
+    if (parent) parent.present = true;
+    let value = frame.value;
+    // Stands in for an object that exists, but none of whose children were needed.
+    if (_.isPlainObject(value) && _.isEmpty(value)) value = true;
+    if (_.isPlainObject(frame.rules) && '.validate' in frame.rules) this.check(frame, value);
+    if (parent && parent.needs && value !== undefined && childNeed(parent.needs, frame.key)) {
+      parent.value[frame.key] = value;
+    }
+  }
+
+  needsOf(expression) {
+    if (!this.needs.has(expression)) {
+      const needs = {children: {}};
+      if (!_.isBoolean(expression)) {
+        _.forEach(flatten(esprima.parse(expression).body[0].expression), ast => {
+          if (!isExternal(ast)) collectNeeds(ast, needs);
+        });
+      }
+      this.needs.set(expression, needs.full ? FULL : needs);
+    }
+    return this.needs.get(expression);
+  }
+
+  // Splits a .validate rule into its conditions, so that each can be reported separately.
+  validation(expression) {
+    if (!this.validations.has(expression)) {
+      let terms;
+      if (_.isBoolean(expression)) {
+        terms = [{expression}];
+      } else {
+        terms = _.map(flatten(esprima.parse(expression).body[0].expression), ast => ({
+          expression: escodegen.generate(ast, {
+            format: {semicolons: false, newline: ' ', indent: {style: ''}}
+          }),
+          external: isExternal(ast)
+        }));
+      }
+      this.validations.set(expression, terms);
+    }
+    return this.validations.get(expression);
+  }
+
+  check(frame, value) {
+    const snapshot = new RuleSnapshot(value, []);
+    const variables = _.assign({
+      auth: this.auth, now: this.now, query: {}, data: snapshot, newData: snapshot
+    }, frame.bindings);
+    _.forEach(this.validation(frame.rules['.validate']), term => {
+      if (term.external) {
+        this.record(this.skipped, frame, term);
+        return;
+      }
+      const result = evaluate(term.expression, variables);
+      if (!result.value) this.record(this.violations, frame, term, result.error);
+    });
+  }
+
+  record(group, frame, term, error) {
+    const rulePath = formatPath(frame.ruleSegments);
+    const key = `${rulePath} ${term.expression}`;
+    if (!group.has(key)) {
+      group.set(key, {rulePath, expression: String(term.expression), count: 0, paths: []});
+    }
+    const entry = group.get(key);
+    entry.count += 1;
+    if (entry.paths.length < this.limit) entry.paths.push(formatPath(frame.segments));
+    if (error && !entry.error) entry.error = error;
+  }
+}
+
+
+exports.audit = function(rules, file, options) {
+  return new Auditor(rules, options).audit(file);
+};
+
+exports.auditData = function(rules, data, options) {
+  return new Auditor(rules, options).auditData(data);
+};
+
+exports.formatAudit = function(result, format) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  const lines = [];
+  const describe = entry => _.last(entry.rulePath.split('/')) === '$other' &&
+    entry.expression === 'false' ?
+    `${entry.rulePath}: undeclared child` : `${entry.rulePath} .validate: ${entry.expression}`;
+  _.forEach(result.violations, entry => {
+    lines.push(`FAIL ${describe(entry)} (${entry.count} nodes)`);
+    if (entry.error) lines.push(`    error: ${entry.error}`);
+    _.forEach(entry.paths, path => lines.push(`    ${path}`));
+    if (entry.count > entry.paths.length) {
+      lines.push(`    ... and ${entry.count - entry.paths.length} more`);
+    }
+  });
+  _.forEach(result.skipped, entry => {
+    lines.push(
+      `SKIP ${describe(entry)} (${entry.count} nodes; refers to data outside the node)`);
+  });
+  const violating = _.sumBy(result.violations, 'count');
+  lines.push(
+    `Checked ${result.nodes} nodes: ${result.violations.length} conditions failed ` +
+    `on ${violating} nodes`);
+  return lines.join('\n');
+};
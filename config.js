@@ -0,0 +1,188 @@
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const {Loader} = require('./loader');
+const {transformFile} = require('./index');
+
+const CONFIG_FILES = [
+  'fireplan.config.yaml', 'fireplan.config.yml', 'fireplan.config.json', 'fireplan.config'
+];
+const TARGET_PATHS = [
+  'input', 'output', 'typesOutput', 'mapOutput', 'validatorsOutput', 'jsonSchemaOutput',
+  'docsOutput'
+];
+const TARGET_OPTIONS = ['env', 'optimize', 'maxSize', 'generators', 'target'];
+
+
+class Watcher {
+  constructor(getTargets, watchedFiles, log) {
+    this.getTargets = getTargets;
+    this.watchedFiles = _.map(watchedFiles, file => path.resolve(file));
+    this.log = log;
+    this.files = new Set();
+    this.watchers = new Map();
+    this.timeout = null;
+  }
+
+  start() {
+    this.build();
+    return this;
+  }
+
+  close() {
+    clearTimeout(this.timeout);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+
+  build() {
+    let files = this.watchedFiles;
+    let targets = [];
+    try {
+      targets = this.getTargets();
+    } catch (e) {
+      this.log(e.message, e);
+    }
+    _.forEach(targets, target => {
+      const result = exports.buildTarget(target);
+      if (result.error) {
+        this.log(`Failed to build ${target.name}: ${result.error.message}`, result.error);
+      } else {
+        this.log(`Built ${target.name}`);
+      }
+      files = _.union(files, [target.input], result.files);
+    });
+    this.watch(files);
+  }
+
+  // Watches the directories containing the given files rather than the files themselves, so that
+  // editors that save by replacing a file don't break the watch.
+  watch(files) {
+    this.files = new Set(files);
+    const directories = _.uniq(_.map(files, file => path.dirname(file)));
+    this.watchers.forEach((watcher, directory) => {
+      if (_.includes(directories, directory)) return;
+      watcher.close();
+      this.watchers.delete(directory);
+    });
+    _.forEach(directories, directory => {
+      if (this.watchers.has(directory)) return;
+      try {
+        this.watchers.set(directory, fs.watch(directory, (event, filename) => {
+          if (filename && this.files.has(path.join(directory, filename))) this.schedule();
+        }));
+      } catch (e) {
+        this.log(`Unable to watch ${directory}: ${e.message}`, e);
+      }
+    });
+  }
+
+  schedule() {
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(() => this.build(), 100);
+  }
+}
+
+
+exports.findConfig = function(directory) {
+  return _.find(
+    _.map(CONFIG_FILES, name => path.join(directory || process.cwd(), name)),
+    file => fs.existsSync(file)
+  );
+};
+
+exports.loadConfig = function(file) {
+  const config = jsyaml.load(fs.readFileSync(file, 'utf8'), {filename: file});
+  if (!_.isPlainObject(config) || !_.isPlainObject(config.targets) || _.isEmpty(config.targets)) {
+    throw new Error(`No targets defined in ${file}`);
+  }
+  const directory = path.dirname(file);
+  const targets = _.map(config.targets, (target, name) => {
+    if (!_.isPlainObject(target) || !target.input) {
+      throw new Error(`Target ${name} has no input (in ${file})`);
+    }
+    const unknownKeys = _.difference(_.keys(target), TARGET_PATHS.concat(TARGET_OPTIONS));
+    if (unknownKeys.length) {
+      throw new Error(`Unknown keys in target ${name}: ${unknownKeys.join(', ')} (in ${file})`);
+    }
+    if (target.env && !_.isPlainObject(target.env)) {
+      throw new Error(`The env of target ${name} must be a map of variables (in ${file})`);
+    }
+    if (target.maxSize !== undefined && !(target.maxSize > 0)) {
+      throw new Error(`The maxSize of target ${name} must be a positive number (in ${file})`);
+    }
+    if (target.target !== undefined && !_.includes(['database', 'firestore'], target.target)) {
+      throw new Error(`The target of target ${name} must be database or firestore (in ${file})`);
+    }
+    if (target.generators && !_.isPlainObject(target.generators)) {
+      throw new Error(
+        `The generators of target ${name} must map generators to output paths (in ${file})`);
+    }
+    // Plugin generators are named by path, and built-in ones by a plain name.
+    const generators = target.generators && _.mapKeys(
+      _.mapValues(target.generators, output => path.resolve(directory, output)),
+      (output, generator) =>
+        /[/\\.]/.test(generator) ? path.resolve(directory, generator) : generator);
+    return _.assign(
+      {name, env: target.env && _.mapValues(target.env, String)},
+      _.pick(target, 'optimize', 'maxSize', 'target'),
+      generators && {generators},
+      _.mapValues(_.pick(target, TARGET_PATHS), targetPath => path.resolve(directory, targetPath))
+    );
+  });
+  return {file: path.resolve(file), targets};
+};
+
+exports.readEnvFile = function(file) {
+  const env = {};
+  _.forEach(fs.readFileSync(file, 'utf8').split(/\r?\n/), (line, index) => {
+    line = _.trim(line);
+    if (!line || line.charAt(0) === '#') return;
+    const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) throw new Error(`Invalid line in env file: ${line} (in ${file}:${index + 1})`);
+    const quoted = match[2].match(/^(['"])(.*)\1(?:\s+#.*)?$/);
+    env[match[1]] = quoted ? quoted[2] : _.trim(match[2].replace(/(^|\s)#.*$/, ''));
+  });
+  return env;
+};
+
+exports.parseDefines = function(defines) {
+  const env = {};
+  _.forEach(_.castArray(defines || []), define => {
+    const match = String(define).match(/^([^=]+)=(.*)$/);
+    if (!match) throw new Error(`Invalid definition, expected KEY=VALUE: ${define}`);
+    env[match[1]] = match[2];
+  });
+  return env;
+};
+
+exports.selectTargets = function(targets, names) {
+  if (_.isEmpty(names)) return targets;
+  return _.map(_.castArray(names), name => {
+    const target = _.find(targets, {name});
+    if (!target) throw new Error(`Unknown target: ${name}`);
+    return target;
+  });
+};
+
+exports.buildTarget = function(target) {
+  const loader = new Loader();
+  try {
+    transformFile(target.input, target.output, {
+      typesOutput: target.typesOutput, mapOutput: target.mapOutput,
+      validatorsOutput: target.validatorsOutput, jsonSchemaOutput: target.jsonSchemaOutput,
+      docsOutput: target.docsOutput, generators: target.generators, env: target.env, loader,
+      optimize: target.optimize, maxSize: target.maxSize, target: target.target
+    });
+    return {target, files: loader.files};
+  } catch (error) {
+    return {target, files: loader.files, error};
+  }
+};
+
+exports.watch = function(getTargets, watchedFiles, log) {
+  return new Watcher(getTargets, watchedFiles, log).start();
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const _ = require('lodash');
+
+const PRIMITIVES = {string: 'String', number: 'double', boolean: 'bool'};
+const KEYWORDS = [
+  'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'final', 'finally', 'for', 'if', 'in', 'is', 'new', 'null', 'rethrow',
+  'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'var', 'void', 'while', 'with'
+];
+// Members that every generated enum already has.
+const ENUM_MEMBERS = ['index', 'value', 'values'];
+
+
+function quote(value) {
+  return `'${value.replace(/[\\'$]/g, '\\$&')}'`;
+}
+
+// Leading underscores make names private in Dart, so they're dropped along with invalid characters.
+function identifier(name, reserved) {
+  let result = name;
+  if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+    result = _.camelCase(name) || 'value';
+    if (!/^[a-zA-Z]/.test(result)) result = 'v' + result;
+  }
+  return _.includes(KEYWORDS, result) || _.includes(reserved, result) ? result + '_' : result;
+}
+
+function nullable(type) {
+  return _.endsWith(type, '?') ? type : type + '?';
+}
+
+
+// Generates Dart classes with fromJson() constructors and toJson() methods, for the FlutterFire
+// plugins, which read and write plain maps.
+class DartGenerator {
+  constructor(model) {
+    this.model = model;
+  }
+
+  generate() {
+    const declarations = _.map(this.model.types, node =>
+      node.kind === 'object' ? this.dataClass(node) : this.enumeration(node));
+    if (!_.includes(this.model.types, this.model.root)) {
+      declarations.push(`typedef FirebaseData = ${this.type(this.model.root)};`);
+    }
+    return [
+      '// Generated by fireplan. Do not edit directly.',
+      '',
+      declarations.join('\n\n'),
+      ''
+    ].join('\n');
+  }
+
+  dataClass(node) {
+    const fields = _.map(node.entries, entry => {
+      const type = this.type(entry.node);
+      const optional = !entry.required || entry.node.nullable || type === 'Object?';
+      return {
+        entry, optional, name: identifier(entry.name), type: optional ? nullable(type) : type
+      };
+    });
+    const lines = [];
+    if (node.moreAllowed) lines.push('/// Also accepts undeclared children.');
+    lines.push(`class ${node.name} {`);
+    _.forEach(fields, field => lines.push(`  final ${field.type} ${field.name};`));
+    if (fields.length) {
+      lines.push(
+        '',
+        `  const ${node.name}({`,
+        ..._.map(fields, field => `    ${field.optional ? '' : 'required '}this.${field.name},`),
+        '  });',
+        '',
+        `  factory ${node.name}.fromJson(Map<String, dynamic> json) => ${node.name}(`,
+        ..._.map(fields, field => {
+          const value = this.decode(field.entry.node, `json[${quote(field.entry.name)}]`,
+            field.optional);
+          return `    ${field.name}: ${value},`;
+        }),
+        '  );'
+      );
+    } else {
+      lines.push(
+        `  const ${node.name}();`,
+        '',
+        `  factory ${node.name}.fromJson(Map<String, dynamic> json) => const ${node.name}();`
+      );
+    }
+    lines.push(
+      '',
+      '  Map<String, dynamic> toJson() => {',
+      ..._.map(fields, field => {
+        const key = quote(field.entry.name);
+        if (!field.optional) return `    ${key}: ${this.encode(field.entry.node, field.name)},`;
+        const value = this.encode(field.entry.node, field.name) === field.name ?
+          field.name : this.encode(field.entry.node, `${field.name}!`);
+        return `    if (${field.name} != null) ${key}: ${value},`;
+      }),
+      '  };',
+      '}'
+    );
+    return lines.join('\n');
+  }
+
+  enumeration(node) {
+    const literals = {};
+    const constants = _.map(node.literals, literal => {
+      const name = identifier(literal, ENUM_MEMBERS);
+      if (_.has(literals, name)) {
+        throw new Error(
+          `Values ${JSON.stringify(literals[name])} and ${JSON.stringify(literal)} of ` +
+          `${node.name} both map to the Dart enum value ${name}`);
+      }
+      literals[name] = literal;
+      return `${name}(${quote(literal)})`;
+    });
+    return [
+      `enum ${node.name} {`,
+      `  ${constants.join(',\n  ')};`,
+      '',
+      `  const ${node.name}(this.value);`,
+      '',
+      '  final String value;',
+      '',
+      `  static ${node.name} fromJson(String value) =>`,
+      '      values.firstWhere((item) => item.value == value);',
+      '}'
+    ].join('\n');
+  }
+
+  // Returns an expression that converts the JSON value of an expression into the node's type.
+  decode(node, expression, optional) {
+    const type = this.type(node);
+    if (type === 'Object?') return expression;
+    if (type === 'double') {
+      return optional ? `(${expression} as num?)?.toDouble()` : `(${expression} as num).toDouble()`;
+    }
+    if (node.kind !== 'object' && !node.name) {
+      return `${expression} as ${type}${optional ? '?' : ''}`;
+    }
+    let value;
+    if (node.kind !== 'object') {
+      value = `${node.name}.fromJson(${expression} as String)`;
+    } else if (type === 'Map<String, Object?>') {
+      value = `Map<String, Object?>.from(${expression} as Map)`;
+    } else if (_.startsWith(type, 'Map<')) {
+      const item = _.find(node.entries, 'wildcard').node;
+      value = `(${expression} as Map).map((key, value) => ` +
+        `MapEntry(key as String, ${this.decode(item, 'value', false)}))`;
+    } else {
+      value = `${node.name}.fromJson(Map<String, dynamic>.from(${expression} as Map))`;
+    }
+    return optional ? `${expression} == null ? null : ${value}` : value;
+  }
+
+  // Returns an expression that converts a value of the node's type into JSON.
+  encode(node, expression) {
+    if (node.kind !== 'object') return node.name ? `${expression}.value` : expression;
+    const wildcardEntry = _.find(node.entries, 'wildcard');
+    if (!wildcardEntry) return `${expression}.toJson()`;
+    if (node.moreAllowed) return expression;
+    const item = this.encode(wildcardEntry.node, 'value');
+    return item === 'value' ? expression :
+      `${expression}.map((key, value) => MapEntry(key, ${item}))`;
+  }
+
+  type(node) {
+    if (node.kind === 'object') {
+      const wildcardEntry = _.find(node.entries, 'wildcard');
+      if (!wildcardEntry) return node.name;
+      const item = node.moreAllowed ? 'Object?' : this.type(wildcardEntry.node);
+      return `Map<String, ${item}>`;
+    }
+    if (node.name) return node.name;
+    return PRIMITIVES[node.primitive] || 'Object?';
+  }
+}
+
+
+exports.generate = function(model) {
+  return new DartGenerator(model).generate();
+};
@@ -0,0 +1,332 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const escodegen = require('escodegen');
+const estraverse = require('estraverse');
+const fs = require('fs');
+const jsyaml = require('js-yaml');
+const {transform} = require('./index');
+
+const TYPE_CHECKS = {isString: 'string', isNumber: 'number', isBoolean: 'boolean'};
+
+
+function generate(ast) {
+  return escodegen.generate(ast, {format: {semicolons: false, newline: ' ', indent: {style: ''}}});
+}
+
+function parse(expression) {
+  return esprima.parse(String(expression)).body[0].expression;
+}
+
+function flatten(node, operator) {
+  if (node.type !== 'LogicalExpression' || node.operator !== operator) return [node];
+  return flatten(node.left, operator).concat(flatten(node.right, operator));
+}
+
+function conjoin(terms) {
+  return _.reduce(terms.slice(1), (left, right) => ({
+    type: 'LogicalExpression', operator: '&&', left, right
+  }), terms[0]);
+}
+
+function isMethodCall(node, name) {
+  return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    !node.callee.computed && node.callee.property.name === name;
+}
+
+function isClosedMarker(rule) {
+  return _.isPlainObject(rule) && _.isEqual(_.keys(rule), ['.validate']) &&
+    String(rule['.validate']) === 'false';
+}
+
+// Returns the children required by a newData.hasChildren([...]) term, if that's what it is.
+function requiredKeys(term) {
+  if (!isMethodCall(term, 'hasChildren') || term.callee.object.type !== 'Identifier' ||
+      term.callee.object.name !== 'newData' || term.arguments.length !== 1 ||
+      term.arguments[0].type !== 'ArrayExpression') {
+    return;
+  }
+  const elements = term.arguments[0].elements;
+  if (!_.every(elements, element => element && element.type === 'Literal' &&
+      _.isString(element.value))) {
+    return;
+  }
+  return _.map(elements, 'value');
+}
+
+function isPrimitiveCheck(term) {
+  return _.some(TYPE_CHECKS, (type, method) => isMethodCall(term, method) &&
+    term.callee.object.type === 'Identifier' && term.callee.object.name === 'newData');
+}
+
+function isPrimitive(rules) {
+  const validate = rules['.validate'];
+  if (!_.isString(validate)) return false;
+  return _.some(flatten(parse(validate), '&&'), isPrimitiveCheck);
+}
+
+
+class Decompiler {
+  constructor(rules) {
+    this.rules = rules;
+    this.warnings = [];
+    this.keywords = new Map();
+  }
+
+  decompile() {
+    this.rootSchema = this.buildSchema(this.rules);
+    return {root: this.decompileBranch(this.rules, this.rootSchema, '')};
+  }
+
+  // Mirrors the compiler's view of which children an expression may refer to without child().
+  buildSchema(rules, parent) {
+    const schema = {rules, parent, children: {}};
+    if (!_.isPlainObject(rules)) return schema;
+    const wildcard = _.find(_.keys(rules), key => key.charAt(0) === '$' &&
+      !(key === '$other' && isClosedMarker(rules[key])));
+    const hasChildren = _.some(_.keys(rules), key => key.charAt(0) !== '.' && key !== '$other');
+    schema.open = !wildcard && !('$other' in rules) && !(isPrimitive(rules) && !hasChildren);
+    _.forEach(rules, (value, key) => {
+      if (key.charAt(0) === '.' || key === '$other' && key !== wildcard) return;
+      if (key === wildcard) {
+        schema.wildcard = this.buildSchema(value, schema);
+      } else {
+        schema.children[key] = this.buildSchema(value, schema);
+      }
+    });
+    return schema;
+  }
+
+  childSchema(schema, name) {
+    if (!schema) return {};
+    if (name !== undefined && _.has(schema.children, name)) return {schema: schema.children[name]};
+    if (schema.open) return {};
+    if (schema.wildcard) return {schema: schema.wildcard};
+    return {unknown: name !== undefined};
+  }
+
+  addKeyword(rules, keyword) {
+    if (!this.keywords.has(rules)) this.keywords.set(rules, []);
+    this.keywords.get(rules).push(keyword);
+  }
+
+  decompileBranch(rules, schema, path) {
+    if (!_.isPlainObject(rules)) throw new Error(`Expected an object of rules at ${path || '/'}`);
+    const yaml = {};
+    const read = this.decompileRule(rules, '.read', schema, path);
+    const write = this.decompileRule(rules, '.write', schema, path);
+    if (read !== undefined && read === write) {
+      yaml['.read/write'] = read;
+    } else {
+      if (read !== undefined) yaml['.read'] = read;
+      if (write !== undefined) yaml['.write'] = write;
+    }
+    let value = '';
+    if ('.validate' in rules) {
+      let terms = flatten(parse(rules['.validate']), '&&');
+      terms = _.filter(terms, term => {
+        const keys = requiredKeys(term);
+        if (!keys || !_.every(keys, key => _.isObject(rules[key]) && key.charAt(0) !== '$')) {
+          return true;
+        }
+        _.forEach(keys, key => this.addKeyword(rules[key], 'required'));
+        return false;
+      });
+      if (terms.length) value = this.decompileExpression(conjoin(terms), schema);
+    }
+    this.decompileIndex(rules, schema, path);
+    const keywords = _.sortBy(this.keywords.get(rules), keyword => keyword === 'indexed');
+    if (keywords.length && !value) value = schema.open ? 'any' : 'true';
+    if (keywords.length || value) yaml['.value'] = _.compact([keywords.join(' '), value]).join(' ');
+    if (schema.open && value !== 'any') yaml['.more'] = true;
+    _.forEach(rules, (child, key) => {
+      if (key.charAt(0) === '.') {
+        if (!_.includes(['.read', '.write', '.validate', '.indexOn'], key)) {
+          this.warnings.push(`Dropped unsupported rule ${path}/${key}`);
+        }
+        return;
+      }
+      if (key === '$other' && isClosedMarker(child)) return;
+      yaml[key] = this.decompileBranch(
+        child, schema.children[key] || schema.wildcard, `${path}/${key}`);
+    });
+    const keys = _.keys(yaml);
+    if (keys.length === 1 && keys[0] === '.value') return yaml['.value'];
+    return yaml;
+  }
+
+  decompileRule(rules, kind, schema, path) {
+    if (!(kind in rules)) return;
+    try {
+      const expression = this.decompileExpression(parse(rules[kind]), schema);
+      return expression === 'true' || expression === 'false' ? expression === 'true' : expression;
+    } catch (e) {
+      e.message += ` (at ${path}/${kind})`;
+      throw e;
+    }
+  }
+
+  decompileIndex(rules, schema, path) {
+    _.forEach(_.castArray(rules['.indexOn'] || []), indexKey => {
+      let target = schema.wildcard && schema.wildcard.rules;
+      if (target && indexKey !== '.value') {
+        _.forEach(indexKey.split('/'), segment => {
+          target = _.isPlainObject(target) && target[segment];
+        });
+      }
+      if (_.isPlainObject(target)) {
+        this.addKeyword(target, 'indexed');
+      } else {
+        this.warnings.push(`Unable to express ${path}/.indexOn ${indexKey} as an indexed child`);
+      }
+    });
+  }
+
+  // Converts the expression back to fireplan syntax, keeping track of which nodes are snapshots
+  // and where in the schema they point.
+  decompileExpression(ast, schema) {
+    const snapshots = new WeakMap();
+    const snapshot = (node, nodeSchema) => {
+      snapshots.set(node, nodeSchema);
+      return node;
+    };
+    ast = estraverse.replace(ast, {
+      leave: (node, parent) => {
+        if (node.type === 'Identifier' && !(
+          parent && parent.type === 'MemberExpression' && !parent.computed &&
+          parent.property === node
+        )) {
+          if (node.name === 'root') return snapshot(node, this.rootSchema);
+          if (node.name === 'newData' || node.name === 'data') {
+            return snapshot(
+              {type: 'Identifier', name: node.name === 'data' ? 'prev' : 'next'}, schema);
+          }
+          return;
+        }
+        if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+            node.callee.computed || !snapshots.has(node.callee.object)) {
+          if (node.type === 'LogicalExpression' && node.operator === '||') {
+            return this.decompileOneOf(node);
+          }
+          return;
+        }
+        const object = node.callee.object;
+        const objectSchema = snapshots.get(object);
+        switch (node.callee.property.name) {
+          case 'val':
+            // String methods need the .val() to stay.
+            if (parent && parent.type === 'MemberExpression' && parent.object === node) return;
+            return object;
+          case 'parent':
+            return snapshot(node, objectSchema && objectSchema.parent);
+          case 'child':
+            if (node.arguments.length !== 1) return;
+            return this.decompileChild(object, node.arguments[0], objectSchema, snapshot) ||
+              snapshot(node);
+          default:
+            if (TYPE_CHECKS[node.callee.property.name] && object.type === 'Identifier' &&
+                object.name === 'next' && !node.arguments.length) {
+              return {type: 'Identifier', name: TYPE_CHECKS[node.callee.property.name]};
+            }
+        }
+      }
+    });
+    return generate(ast);
+  }
+
+  decompileChild(object, key, objectSchema, snapshot) {
+    const name = key.type === 'Literal' ? String(key.value) : undefined;
+    const resolved = this.childSchema(objectSchema, name);
+    // Undeclared children must stay explicit, or the compiler would reject the path.
+    if (resolved.unknown) return;
+    if (name !== undefined && /^[A-Za-z_][\w$]*$/.test(name)) {
+      return snapshot({
+        type: 'MemberExpression', computed: false, object,
+        property: {type: 'Identifier', name}
+      }, resolved.schema);
+    }
+    return snapshot(
+      {type: 'MemberExpression', computed: true, object, property: key}, resolved.schema);
+  }
+
+  // Turns next == 'a' || next == 'b' back into oneOf('a', 'b').
+  decompileOneOf(node) {
+    const values = [];
+    const isNext = term => term.type === 'Identifier' && term.name === 'next';
+    for (const term of flatten(node, '||')) {
+      if (term.type === 'CallExpression' && term.callee.type === 'Identifier' &&
+          term.callee.name === 'oneOf') {
+        values.push(...term.arguments);
+      } else if (term.type === 'BinaryExpression' && term.operator === '==' &&
+          isNext(term.left) && term.right.type === 'Literal') {
+        values.push(term.right);
+      } else {
+        return;
+      }
+    }
+    return {type: 'CallExpression', callee: {type: 'Identifier', name: 'oneOf'}, arguments: values};
+  }
+}
+
+
+// Normalizes rules so that equivalent ones can be compared: expressions get reformatted,
+// conditions of a .validate are treated as a set and trivially true validations are dropped.
+function normalizeRules(rules) {
+  if (!_.isPlainObject(rules)) return rules;
+  const normalized = {};
+  _.forEach(rules, (value, key) => {
+    if (key === '.indexOn') {
+      normalized[key] = _.sortBy(_.castArray(value));
+    } else if (key === '.validate') {
+      const terms = _(flatten(parse(value), '&&')).map(term => {
+        if (requiredKeys(term)) {
+          term.arguments[0].elements = _.sortBy(term.arguments[0].elements, 'value');
+        }
+        return generate(term);
+      }).without('true').uniq().sortBy().value();
+      if (terms.length) normalized[key] = terms.join(' && ');
+    } else if (key === '.read' || key === '.write') {
+      normalized[key] = generate(parse(value));
+    } else {
+      normalized[key] = normalizeRules(value);
+    }
+  });
+  if (isClosedMarker(normalized.$other) && isPrimitive(rules)) delete normalized.$other;
+  return normalized;
+}
+
+function compareRules(expected, actual, path, differences) {
+  _.forEach(_.union(_.keys(expected), _.keys(actual)), key => {
+    const keyPath = `${path}/${key}`;
+    if (_.isPlainObject(expected[key]) && _.isPlainObject(actual[key])) {
+      compareRules(expected[key], actual[key], keyPath, differences);
+    } else if (!_.isEqual(expected[key], actual[key])) {
+      differences.push(keyPath);
+    }
+  });
+  return differences;
+}
+
+
+exports.decompile = function(rules) {
+  const decompiler = new Decompiler(rules.rules || rules);
+  const source = decompiler.decompile();
+  const yaml = jsyaml.dump(source, {lineWidth: -1, noRefs: true});
+  return {source, yaml, warnings: decompiler.warnings};
+};
+
+// Recompiles the decompiled YAML and returns the paths of all the rules that differ from the
+// original ones.
+exports.checkRoundTrip = function(rules, yaml) {
+  const recompiled = transform(jsyaml.load(yaml), {optimize: false, env: {}}).rules;
+  return compareRules(normalizeRules(rules.rules || rules), normalizeRules(recompiled), '', []);
+};
+
+exports.importFile = function(input, output) {
+  if (!output) output = input.replace(/\.json$/, '') + '.yaml';
+  const rules = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const {yaml, warnings} = exports.decompile(rules);
+  fs.writeFileSync(output, yaml);
+  return {output, warnings, differences: exports.checkRoundTrip(rules, yaml)};
+};
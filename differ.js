@@ -0,0 +1,300 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const escodegen = require('escodegen');
+const estraverse = require('estraverse');
+const {formatLocation} = require('./loader');
+
+const EFFECTS = ['loosening', 'tightening', 'changed', 'neutral'];
+const HEADINGS = {
+  loosening: 'Loosening', tightening: 'Tightening', changed: 'Changed (review by hand)',
+  neutral: 'Neutral'
+};
+
+
+function flatten(node, operator) {
+  if (node.type !== 'LogicalExpression' || node.operator !== operator) return [node];
+  return flatten(node.left, operator).concat(flatten(node.right, operator));
+}
+
+function generate(ast) {
+  return escodegen.generate(ast, {format: {semicolons: false, newline: ' ', indent: {style: ''}}});
+}
+
+function isClosedMarker(rule) {
+  return _.isPlainObject(rule) && String(rule['.validate']) === 'false';
+}
+
+function isNewDataCall(node, method) {
+  return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    !node.callee.computed && node.callee.property.name === method &&
+    node.callee.object.type === 'Identifier' && node.callee.object.name === 'newData';
+}
+
+// Returns the values of a newData.val() == 'a' || newData.val() == 'b' condition, as generated for
+// oneOf().
+function oneOfValues(node) {
+  const values = [];
+  for (const term of flatten(node, '||')) {
+    if (term.type !== 'BinaryExpression' || term.operator !== '==' ||
+        !isNewDataCall(term.left, 'val') || term.right.type !== 'Literal') {
+      return;
+    }
+    values.push(generate(term.right));
+  }
+  return values;
+}
+
+// Compares two lists of conditions joined by operator, returning whether the new one is stricter
+// or laxer than the old one, if that can be told.
+function compareTerms(oldTerms, newTerms, operator) {
+  if (_.isEqual(_.sortBy(oldTerms), _.sortBy(newTerms))) return;
+  const added = _.difference(newTerms, oldTerms), removed = _.difference(oldTerms, newTerms);
+  // Adding a conjunct or removing a disjunct can only make the condition stricter.
+  if (!removed.length) return operator === '&&' ? 'tightening' : 'loosening';
+  if (!added.length) return operator === '&&' ? 'loosening' : 'tightening';
+  return 'changed';
+}
+
+
+class Differ {
+  constructor(oldRules, newRules, options) {
+    this.oldRules = oldRules;
+    this.newRules = newRules;
+    this.sourceMap = options && options.sourceMap || {};
+    this.changes = [];
+    // Paths are reported with the old wildcard names, but the source map uses the new ones.
+    this.newPaths = {};
+  }
+
+  diff() {
+    this.diffBranch(this.oldRules, this.newRules, [], [], {});
+    return this.changes;
+  }
+
+  report(path, kind, area, effect, description, values) {
+    const newPath = this.newPaths[path] || path;
+    const mapping = this.sourceMap[`${newPath === '/' ? '' : newPath}/${kind}`];
+    this.changes.push(_.assign({path, kind, area, effect, description}, values, mapping && {
+      location: mapping.sources[0] && mapping.sources[0].file && mapping.sources[0],
+      functions: mapping.functions
+    }));
+  }
+
+  // Parses an expression, renaming wildcard variables of the new rules to match the old ones.
+  parse(expression, renames) {
+    const ast = esprima.parse(String(expression)).body[0].expression;
+    return estraverse.replace(ast, {
+      enter: node => {
+        if (node.type === 'Identifier' && renames[node.name]) {
+          return {type: 'Identifier', name: renames[node.name]};
+        }
+      }
+    });
+  }
+
+  // Compares two branches of the rules.  When a branch was only added or removed, just its access
+  // rules are compared, since its validation was reported along with the child itself.
+  diffBranch(oldRules, newRules, segments, newSegments, renames) {
+    const bothExist = _.isPlainObject(oldRules) && _.isPlainObject(newRules);
+    oldRules = _.isPlainObject(oldRules) ? oldRules : {};
+    newRules = _.isPlainObject(newRules) ? newRules : {};
+    const path = '/' + segments.join('/');
+    this.newPaths[path] = '/' + newSegments.join('/');
+    _.forEach(['.read', '.write'], kind => {
+      this.diffAccess(oldRules, newRules, path, kind, renames);
+    });
+    const childKeys = rules => _.filter(_.keys(rules), key => key.charAt(0) !== '.' &&
+      !(key === '$other' && isClosedMarker(rules.$other)));
+    const oldKeys = childKeys(oldRules), newKeys = childKeys(newRules);
+    const oldWildcard = _.find(oldKeys, key => key.charAt(0) === '$');
+    const newWildcard = _.find(newKeys, key => key.charAt(0) === '$');
+    const oldClosed = !oldWildcard && isClosedMarker(oldRules.$other);
+    const newClosed = !newWildcard && isClosedMarker(newRules.$other);
+    const oldOpen = !oldWildcard && !oldClosed, newOpen = !newWildcard && !newClosed;
+    if (bothExist) {
+      this.diffValidation(oldRules, newRules, path, renames);
+      this.diffIndex(oldRules, newRules, path);
+      if (!oldOpen && newOpen) {
+        this.report(path, '.more', 'validation', 'loosening', 'now accepts undeclared children');
+      } else if (oldOpen && !newOpen) {
+        this.report(
+          path, '.more', 'validation', 'tightening', 'no longer accepts undeclared children');
+      }
+      if (oldWildcard && !newWildcard && newClosed) {
+        this.report(path, 'child', 'validation', 'tightening',
+          `wildcard ${oldWildcard} removed, so its children can no longer be written`);
+      } else if (!oldWildcard && newWildcard && oldClosed) {
+        this.report(path, 'child', 'validation', 'loosening',
+          `wildcard ${newWildcard} added, so any child can now be written`);
+      }
+    }
+    _.forEach(_.union(oldKeys, newKeys), key => {
+      if (key.charAt(0) === '$') return;
+      const childPath = path === '/' ? `/${key}` : `${path}/${key}`;
+      this.newPaths[childPath] = '/' + newSegments.concat([key]).join('/');
+      if (bothExist && !_.includes(newKeys, key) && newClosed) {
+        this.report(childPath, 'child', 'validation', 'tightening',
+          'child removed, so it can no longer be written');
+      } else if (bothExist && !_.includes(oldKeys, key) && oldClosed) {
+        this.report(childPath, 'child', 'validation', 'loosening',
+          'child added, so it can now be written');
+      }
+      this.diffBranch(
+        oldRules[key], newRules[key], segments.concat([key]), newSegments.concat([key]), renames);
+    });
+    if (oldWildcard || newWildcard) {
+      if (oldWildcard && newWildcard && oldWildcard !== newWildcard) {
+        renames = _.assign({}, renames, {[newWildcard]: oldWildcard});
+      }
+      this.diffBranch(
+        oldRules[oldWildcard], newRules[newWildcard], segments.concat([oldWildcard || newWildcard]),
+        newSegments.concat([newWildcard || oldWildcard]), renames);
+    }
+  }
+
+  diffAccess(oldRules, newRules, path, kind, renames) {
+    const oldExpression = kind in oldRules ? generate(this.parse(oldRules[kind], {})) : undefined;
+    const newExpression = kind in newRules ? generate(this.parse(newRules[kind], renames)) :
+      undefined;
+    if (oldExpression === newExpression) return;
+    const values = {old: oldExpression, new: newExpression};
+    if (oldExpression === undefined) {
+      this.report(path, kind, 'security', 'loosening', `${kind} rule added`, values);
+    } else if (newExpression === undefined) {
+      this.report(path, kind, 'security', 'tightening', `${kind} rule removed`, values);
+    } else {
+      const effect = this.compareConditions(
+        this.parse(oldRules[kind], {}), this.parse(newRules[kind], renames));
+      // Conditions that were merely reordered aren't worth reporting.
+      if (effect) this.report(path, kind, 'security', effect, `${kind} rule changed`, values);
+    }
+  }
+
+  compareConditions(oldAst, newAst) {
+    const terms = (ast, operator) => _.map(flatten(ast, operator), generate);
+    const effect = compareTerms(terms(oldAst, '&&'), terms(newAst, '&&'), '&&');
+    if (effect !== 'changed') return effect;
+    return compareTerms(terms(oldAst, '||'), terms(newAst, '||'), '||');
+  }
+
+  // Splits a .validate rule into its required children, its oneOf() values and anything else.
+  splitValidation(rules, renames) {
+    const result = {required: [], conditions: []};
+    if (!('.validate' in rules)) return result;
+    _.forEach(flatten(this.parse(rules['.validate'], renames), '&&'), term => {
+      const keys = isNewDataCall(term, 'hasChildren') && term.arguments.length === 1 &&
+        term.arguments[0].type === 'ArrayExpression' && _.map(term.arguments[0].elements, 'value');
+      const values = !result.values && oneOfValues(term);
+      if (keys && _.every(keys, _.isString)) {
+        result.required = _.union(result.required, keys);
+      } else if (values) {
+        result.values = values;
+      } else {
+        result.conditions.push(generate(term));
+      }
+    });
+    return result;
+  }
+
+  diffValidation(oldRules, newRules, path, renames) {
+    const oldValidation = this.splitValidation(oldRules, {});
+    const newValidation = this.splitValidation(newRules, renames);
+    const addedRequired = _.difference(newValidation.required, oldValidation.required);
+    const removedRequired = _.difference(oldValidation.required, newValidation.required);
+    if (addedRequired.length) {
+      this.report(path, '.validate', 'validation', 'tightening',
+        `children now required: ${addedRequired.join(', ')}`);
+    }
+    if (removedRequired.length) {
+      this.report(path, '.validate', 'validation', 'loosening',
+        `children no longer required: ${removedRequired.join(', ')}`);
+    }
+    if (oldValidation.values && newValidation.values) {
+      const addedValues = _.difference(newValidation.values, oldValidation.values);
+      const removedValues = _.difference(oldValidation.values, newValidation.values);
+      if (removedValues.length) {
+        this.report(path, '.validate', 'validation', 'tightening',
+          `oneOf values dropped: ${removedValues.join(', ')}`);
+      }
+      if (addedValues.length) {
+        this.report(path, '.validate', 'validation', 'loosening',
+          `oneOf values added: ${addedValues.join(', ')}`);
+      }
+    } else if (oldValidation.values || newValidation.values) {
+      // Treat a oneOf() that appeared or disappeared like any other condition.
+      _.forEach([oldValidation, newValidation], validation => {
+        if (validation.values) validation.conditions.push(validation.values.join(' | '));
+      });
+    }
+    const effect = compareTerms(oldValidation.conditions, newValidation.conditions, '&&');
+    if (effect) {
+      this.report(path, '.validate', 'validation', effect, '.validate rule changed', {
+        old: oldValidation.conditions.join(' && ') || undefined,
+        new: newValidation.conditions.join(' && ') || undefined
+      });
+    }
+  }
+
+  diffIndex(oldRules, newRules, path) {
+    const oldIndex = _.castArray(oldRules['.indexOn'] || []);
+    const newIndex = _.castArray(newRules['.indexOn'] || []);
+    const added = _.difference(newIndex, oldIndex), removed = _.difference(oldIndex, newIndex);
+    if (added.length) {
+      this.report(path, '.indexOn', 'index', 'neutral', `index added on ${added.join(', ')}`);
+    }
+    if (removed.length) {
+      this.report(path, '.indexOn', 'index', 'neutral', `index removed on ${removed.join(', ')}`);
+    }
+  }
+}
+
+
+exports.EFFECTS = EFFECTS;
+
+exports.diff = function(oldRules, newRules, options) {
+  const unwrap = rules => _.isPlainObject(rules) && _.isEqual(_.keys(rules), ['rules']) ?
+    rules.rules : rules;
+  const changes = new Differ(unwrap(oldRules), unwrap(newRules), options).diff();
+  return _.sortBy(changes, change => EFFECTS.indexOf(change.effect));
+};
+
+exports.formatChanges = function(changes, format) {
+  if (format === 'json') return JSON.stringify(changes, null, 2);
+  const markdown = format === 'markdown';
+  const lines = [];
+  const describe = change => {
+    const extras = _.compact([
+      change.location && formatLocation(change.location),
+      !_.isEmpty(change.functions) && `via ${change.functions.join(', ')}`
+    ]);
+    const suffix = extras.length ? ` (${extras.join('; ')})` : '';
+    return markdown ?
+      `- \`${change.path}\` ${change.area}: ${change.description}${suffix}` :
+      `${_.padEnd(change.effect.toUpperCase(), 10)} ${change.area} ${change.path}: ` +
+      `${change.description}${suffix}`;
+  };
+  _.forEach(_.groupBy(changes, 'effect'), (group, effect) => {
+    if (markdown) lines.push(`### ${HEADINGS[effect]} (${group.length})`, '');
+    _.forEach(group, change => {
+      lines.push(describe(change));
+      if (change.old === undefined && change.new === undefined) return;
+      const diffLines = _.compact([
+        change.old !== undefined && `- ${change.old}`, change.new !== undefined && `+ ${change.new}`
+      ]);
+      if (markdown) {
+        lines.push('  ```diff', ..._.map(diffLines, line => `  ${line}`), '  ```');
+      } else {
+        lines.push(..._.map(diffLines, line => `    ${line}`));
+      }
+    });
+    if (markdown) lines.push('');
+  });
+  const counts = _.countBy(changes, 'effect');
+  lines.push(changes.length ?
+    _.map(_.filter(EFFECTS, effect => counts[effect]), effect => `${counts[effect]} ${effect}`)
+      .join(', ') :
+    'No changes');
+  return lines.join('\n');
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const _ = require('lodash');
+const {TypeGenerator} = require('./type_generator');
+const {commentOf} = require('./loader');
+
+const TITLE = 'Firebase Data';
+
+
+function anchor(prefix, name) {
+  const slug = name.replace(/[^\w$-]+/g, '-').replace(/\$/g, '').replace(/^-+|-+$/g, '');
+  return `${prefix}-${slug || 'root'}`;
+}
+
+function codeList(values) {
+  return _.flatMap(values, (value, i) => i ? [', ', {code: value}] : [{code: value}]);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char =>
+    ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[char]);
+}
+
+// Renders inline content, which is a list of strings, {code} spans and {link, text} references.
+const RENDERERS = {
+  markdown: {
+    inline: parts => _.map(_.castArray(parts), part => {
+      if (_.isString(part)) return part.replace(/([\\`*_<])/g, '\\$1');
+      if ('code' in part) {
+        const code = String(part.code).replace(/\n/g, ' ');
+        return _.includes(code, '`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+      }
+      return `[${RENDERERS.markdown.inline(part.text)}](#${part.link})`;
+    }).join(''),
+    heading: (level, id, text) => `<a id="${id}"></a>\n\n${_.repeat('#', level)} ${text}`,
+    paragraph: text => text,
+    list: items => _.map(items, item => `- ${item}`).join('\n'),
+    table: (header, rows) => _.map([header, _.map(header, () => '---'), ...rows], row =>
+      `| ${_.map(row, cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`).join('\n'),
+    document: blocks => blocks.join('\n\n') + '\n'
+  },
+  html: {
+    inline: parts => _.map(_.castArray(parts), part => {
+      if (_.isString(part)) return escapeHtml(part).replace(/\n/g, '<br>');
+      if ('code' in part) return `<code>${escapeHtml(part.code)}</code>`;
+      return `<a href="#${part.link}">${RENDERERS.html.inline(part.text)}</a>`;
+    }).join(''),
+    heading: (level, id, text) => `<h${level} id="${id}">${text}</h${level}>`,
+    paragraph: text => `<p>${text}</p>`,
+    list: items => `<ul>\n${_.map(items, item => `  <li>${item}</li>`).join('\n')}\n</ul>`,
+    table: (header, rows) => [
+      '<table>',
+      `  <tr>${_.map(header, cell => `<th>${cell}</th>`).join('')}</tr>`,
+      ..._.map(rows, row => `  <tr>${_.map(row, cell => `<td>${cell}</td>`).join('')}</tr>`),
+      '</table>'
+    ].join('\n'),
+    document: blocks => [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${TITLE}</title>`,
+      '<style>',
+      'body {font-family: sans-serif; max-width: 60em; margin: auto; padding: 1em;}',
+      'table {border-collapse: collapse;} td, th {border: 1px solid #ccc; padding: 0.3em 0.6em;}',
+      'code {background: #f4f4f4;}',
+      '</style>',
+      '</head>',
+      '<body>',
+      ...blocks,
+      '</body>',
+      '</html>'
+    ].join('\n') + '\n'
+  }
+};
+
+
+// Renders the rules tree as browsable documentation:  a section for every path, with its type,
+// children and conditions, followed by the functions and where they're used.
+class DocsGenerator {
+  constructor(source, compiled, options) {
+    this.source = source;
+    this.types = new TypeGenerator(source);
+    this.rules = compiled.rules || {};
+    this.sourceMap = compiled.sourceMap || {};
+    this.renderer = RENDERERS[options && options.format || 'markdown'];
+    if (!this.renderer) throw new Error('Unknown documentation format: ' + options.format);
+    this.blocks = [];
+  }
+
+  generate() {
+    const r = this.renderer;
+    this.blocks.push(
+      r.heading(1, 'top', r.inline(TITLE)),
+      r.paragraph(r.inline('Generated by fireplan. Do not edit directly.')));
+    this.blocks.push(r.heading(2, 'paths', r.inline('Paths')));
+    this.describePath(this.source.root || {}, [], this.rules, commentOf(this.source, 'root'));
+    if (!_.isEmpty(this.source.functions)) {
+      this.blocks.push(r.heading(2, 'functions', r.inline('Functions')));
+      _.forEach(this.source.functions, definition => {
+        _.forEach(definition, (body, signature) => this.describeFunction(definition, signature));
+      });
+    }
+    return r.document(this.blocks);
+  }
+
+  describePath(yaml, segments, json, description) {
+    const r = this.renderer;
+    const path = '/' + segments.join('/');
+    if (_.isString(yaml)) yaml = {'.value': yaml};
+    if (!_.isPlainObject(yaml)) return;
+    json = json || {};
+    const node = this.types.toNode(yaml);
+    this.blocks.push(r.heading(3, anchor('path', path), r.inline({code: path})));
+    description = yaml['.description'] || description;
+    if (description) this.blocks.push(r.paragraph(r.inline(String(description))));
+
+    const details = [];
+    const type = this.typeOf(node);
+    if (type) details.push(r.inline(['Type: ', {code: type}]));
+    if (yaml['.more'] === true) details.push(r.inline('Accepts undeclared children'));
+    const values = this.valuesOf(yaml['.value']);
+    if (values) details.push(r.inline(['Values: ', ...codeList(values)]));
+    _.forEach({'.read': 'Read', '.write': 'Write', '.validate': 'Validate'}, (label, kind) => {
+      const item = this.describeRule(yaml, json, segments, kind, label);
+      if (item) details.push(item);
+    });
+    if (json['.indexOn']) details.push(r.inline(['Indexed on: ', ...codeList(json['.indexOn'])]));
+    if (details.length) this.blocks.push(r.list(details));
+
+    const children = _.filter(_.keys(yaml), key => key.charAt(0) !== '.');
+    if (!children.length) return;
+    const rows = _.map(children, key => {
+      const name = key.replace(/\/.*/, '');
+      const childPath = path.replace(/\/$/, '') + '/' + name;
+      const entry = _.find(node.entries, {name});
+      const childYaml = yaml[key];
+      const childDescription = _.isPlainObject(childYaml) && childYaml['.description'] ||
+        commentOf(yaml, key) || '';
+      return [
+        r.inline({link: anchor('path', childPath), text: {code: name}}),
+        r.inline(this.typeOf(entry.node) ? {code: this.typeOf(entry.node)} : ''),
+        r.inline(this.flagsOf(key, childYaml).join(', ')),
+        r.inline(String(childDescription).replace(/\n/g, ' '))
+      ];
+    });
+    this.blocks.push(r.table(_.map(['Child', 'Type', 'Flags', 'Description'], r.inline), rows));
+    _.forEach(children, key => {
+      const name = key.replace(/\/.*/, '');
+      this.describePath(yaml[key], segments.concat([name]), json[name], commentOf(yaml, key));
+    });
+  }
+
+  describeRule(yaml, json, segments, kind, label) {
+    if (!(kind in json)) return;
+    const r = this.renderer;
+    const sourceKey = kind === '.validate' ? '.value' : kind;
+    let source = yaml[sourceKey] !== undefined ? yaml[sourceKey] : yaml['.read/write'];
+    if (kind === '.validate') source = this.types.parseConstraint(yaml['.value']).expression;
+    const expanded = String(json[kind]);
+    const parts = [`${label}: `];
+    if (source !== undefined && source !== '' && String(source) !== expanded) {
+      parts.push({code: String(source)}, ' expands to ');
+    }
+    parts.push({code: expanded});
+    const mapping = this.sourceMap['/' + segments.concat([kind]).join('/')];
+    const functions = mapping && _.filter(mapping.functions, name => this.isUserFunction(name));
+    if (functions && functions.length) {
+      parts.push(' (using ', ..._.flatMap(functions, (name, i) => {
+        const link = {link: anchor('function', name), text: {code: name}};
+        return i ? [', ', link] : [link];
+      }), ')');
+    }
+    return r.inline(parts);
+  }
+
+  typeOf(node) {
+    if (!node) return;
+    if (node.kind === 'object') return node.name || 'object';
+    if (node.type && node.type !== 'unknown') return node.type;
+  }
+
+  valuesOf(constraint) {
+    const expression = this.types.parseConstraint(constraint).expression;
+    if (!/^\s*(oneOf|is)\s*\(/.test(expression)) return;
+    const type = this.types.literalConstraintType(expression);
+    if (type && !_.includes(type, 'unknown')) return type.split(' | ');
+  }
+
+  flagsOf(key, yaml) {
+    const constraint = _.isString(yaml) ? yaml : _.isPlainObject(yaml) && yaml['.value'];
+    const keywords = this.types.parseConstraint(constraint).keywords;
+    const flags = _.filter(['required', 'indexed', 'encrypted'], keyword => keywords[keyword]);
+    if (/\/encrypted/.test(key) && !_.includes(flags, 'encrypted')) flags.push('encrypted');
+    if (/\/few/.test(key)) flags.push('few');
+    return flags;
+  }
+
+  isUserFunction(name) {
+    return _.some(this.source.functions, definition => _.some(_.keys(definition), signature =>
+      _.trim(signature.replace(/\(.*/, '')) === name));
+  }
+
+  describeFunction(definition, signature) {
+    const r = this.renderer;
+    const name = _.trim(signature.replace(/\(.*/, ''));
+    this.blocks.push(r.heading(3, anchor('function', name), r.inline({code: _.trim(signature)})));
+    const description = commentOf(definition, signature);
+    if (description) this.blocks.push(r.paragraph(r.inline(description)));
+    this.blocks.push(r.paragraph(r.inline({code: String(definition[signature])})));
+    const callSites = _(this.sourceMap)
+      .pickBy(mapping => _.includes(mapping.functions, name))
+      .keys()
+      .map(rulePath => {
+        const path = rulePath.replace(/\/[^/]*$/, '') || '/';
+        return r.inline([{link: anchor('path', path), text: {code: path}}, ' ',
+          _.last(rulePath.split('/'))]);
+      })
+      .value();
+    this.blocks.push(callSites.length ?
+      r.paragraph(r.inline('Used by:')) + '\n\n' + r.list(callSites) :
+      r.paragraph(r.inline('Not used by any rule.')));
+  }
+}
+
+
+exports.DocsGenerator = DocsGenerator;
+
+exports.generateDocs = function(source, compiled, options) {
+  return new DocsGenerator(source, compiled, options).generate();
+};
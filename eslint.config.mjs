@@ -6,7 +6,7 @@ export default [
   ...reviewableConfigBaseline,
   ...lodashConfigBaseline,
   {
-    files: ['*.js', 'fireplan'],
+    files: ['*.js', 'fireplan', 'fireplan-lsp'],
     languageOptions: {
       globals: {
         ...globals.node,
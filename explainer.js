@@ -0,0 +1,91 @@
+'use strict';
+
+const _ = require('lodash');
+const {Simulator, matchChild, splitPath, formatPath} = require('./simulator');
+const {formatLocation} = require('./loader');
+
+const RULE_KINDS = ['.read', '.write', '.validate'];
+
+
+// Lists the rules that apply at a concrete database path, from the root down, along with the
+// source expressions they were compiled from.  If options.evaluate is set, .read and .write rules
+// are also evaluated against options.auth and options.data.
+exports.explain = function(compiled, path, options) {
+  options = options || {};
+  let rules = compiled.rules;
+  if (_.isPlainObject(rules) && _.isEqual(_.keys(rules), ['rules'])) rules = rules.rules;
+  const sourceMap = compiled.sourceMap || {};
+  const simulator = options.evaluate && new Simulator(rules, options);
+  const segments = splitPath(path);
+  const result = {path: formatPath(segments), bindings: {}, levels: []};
+  let ruleNode = rules;
+  const ruleSegments = [];
+  for (let i = 0; i <= segments.length; i++) {
+    if (!_.isPlainObject(ruleNode)) break;
+    const levelSegments = segments.slice(0, i);
+    const rulePath = formatPath(ruleSegments);
+    const level = {path: formatPath(levelSegments), rulePath, rules: []};
+    if (i && _.last(ruleSegments).charAt(0) === '$') {
+      level.variable = _.last(ruleSegments);
+      level.value = segments[i - 1];
+    }
+    _.forEach(RULE_KINDS, kind => {
+      if (!(kind in ruleNode)) return;
+      const mapping = sourceMap[formatPath(ruleSegments.concat([kind]))];
+      const rule = {kind, expression: String(ruleNode[kind])};
+      if (mapping) {
+        rule.sources = mapping.sources;
+        if (mapping.functions.length) rule.functions = mapping.functions;
+      }
+      if (simulator && kind !== '.validate') {
+        const check = simulator.checkRule(
+          kind, ruleNode, levelSegments, ruleSegments, result.bindings, simulator.data,
+          simulator.data);
+        rule.value = check.value;
+        if (check.error) rule.error = check.error;
+      }
+      level.rules.push(rule);
+    });
+    if (ruleNode['.indexOn']) level.indexes = _.castArray(ruleNode['.indexOn']);
+    result.levels.push(level);
+    if (i === segments.length) break;
+    const match = matchChild(ruleNode, segments[i]);
+    if (!match) {
+      result.unmatched = formatPath(segments.slice(0, i + 1));
+      break;
+    }
+    ruleNode = match.node;
+    ruleSegments.push(match.variable || segments[i]);
+    if (match.variable) result.bindings[match.variable] = segments[i];
+  }
+  return result;
+};
+
+exports.formatExplanation = function(result, format) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  const lines = [result.path];
+  _.forEach(result.bindings, (value, variable) => lines.push(`  ${variable} = ${value}`));
+  _.forEach(result.levels, level => {
+    let heading = level.path;
+    if (level.rulePath !== level.path) heading += ` (rules at ${level.rulePath})`;
+    if (level.variable === '$other') heading += ', caught by $other';
+    if (!level.rules.length && !level.indexes) {
+      lines.push(`${heading}: no rules`);
+      return;
+    }
+    lines.push(heading + ':');
+    _.forEach(level.rules, rule => {
+      const value = 'value' in rule ? ` => ${rule.value}` : '';
+      lines.push(`  ${rule.kind}: ${rule.expression}${value}`);
+      if (rule.error) lines.push(`    error: ${rule.error}`);
+      _.forEach(rule.sources, source => {
+        const location = source.file ? formatLocation(source) : 'source';
+        lines.push(`    from ${location}: ${source.expression}`);
+      });
+      if (rule.functions) lines.push(`    using ${rule.functions.join(', ')}`);
+    });
+    if (level.indexes) lines.push(`  .indexOn: ${level.indexes.join(', ')}`);
+  });
+  if (result.unmatched) lines.push(`${result.unmatched}: no rules below this point`);
+  return lines.join('\n');
+};
@@ -0,0 +1,750 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const estraverse = require('estraverse');
+const {locationOf, formatLocation, cloneSource} = require('./loader');
+const {expandTypes} = require('./type_expander');
+const library = require('./library');
+
+const TYPE_CHECKS = {isString: 'string', isNumber: 'number', isBoolean: 'bool'};
+const TYPE_FUNCTIONS = {string: 'string', number: 'number', boolean: 'bool'};
+const OPERATORS = {'===': '==', '!==': '!='};
+const PRECEDENCE = {
+  '||': 2, '&&': 3, '==': 4, '!=': 4, '<': 4, '<=': 4, '>': 4, '>=': 4, '+': 5, '-': 5, '*': 6,
+  '/': 6, '%': 6
+};
+const CONDITIONAL = 1, RELATION = 4, UNARY = 7, POSTFIX = 8, PRIMARY = 9;
+// Names that Firestore already uses, which declared functions and path variables must avoid.
+const RESERVED = [
+  'bool', 'database', 'debug', 'duration', 'exists', 'existsAfter', 'float', 'get', 'getAfter',
+  'hashing', 'int', 'latlng', 'math', 'path', 'request', 'resource', 'string', 'timestamp'
+];
+const KEYWORDS = [
+  'allow', 'false', 'function', 'if', 'in', 'is', 'let', 'match', 'null', 'return', 'true'
+];
+
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Firebase regular expressions match anywhere in the string unless anchored, while Firestore ones
+// must match the whole string.
+function convertPattern(regex) {
+  let pattern = regex.pattern;
+  if (_.includes(pattern, '|')) {
+    pattern = `.*(?:${pattern}).*`;
+  } else {
+    const anchoredEnd = /(^|[^\\])(\\\\)*\$$/.test(pattern);
+    pattern = pattern.charAt(0) === '^' ? pattern.slice(1) : '.*' + pattern;
+    pattern = anchoredEnd ? pattern.slice(0, -1) : pattern + '.*';
+  }
+  return _.includes(regex.flags, 'i') ? '(?i)' + pattern : pattern;
+}
+
+function isIdentifier(name) {
+  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) && !_.includes(KEYWORDS, name);
+}
+
+function negate(term) {
+  return term.negation || {code: '!' + wrap(term, UNARY), prec: UNARY};
+}
+
+function isNull(node) {
+  return node.type === 'Literal' && node.value === null;
+}
+
+function wrap(term, precedence) {
+  return term.prec < precedence ? `(${term.code})` : term.code;
+}
+
+function combine(terms, operator, identity) {
+  terms = _.reject(terms, {code: identity});
+  if (!terms.length) return {code: identity, prec: PRIMARY};
+  if (terms.length === 1) return terms[0];
+  const precedence = PRECEDENCE[operator];
+  const operands = _.flatMap(terms, term =>
+    term.operator === operator ? term.operands : [wrap(term, precedence)]);
+  return {code: operands.join(` ${operator} `), prec: precedence, operator, operands};
+}
+
+function all(terms) {
+  return _.some(terms, {code: 'false'}) ? {code: 'false', prec: PRIMARY} :
+    combine(terms, '&&', 'true');
+}
+
+function any(terms) {
+  return _.some(terms, {code: 'true'}) ? {code: 'true', prec: PRIMARY} :
+    combine(terms, '||', 'false');
+}
+
+// Puts each condition of a long rule on a line of its own.
+function allow(operations, condition) {
+  const line = `allow ${operations}: if `;
+  if (line.length + condition.code.length < 80 || condition.operator !== '&&') {
+    return [`${line}${condition.code};`];
+  }
+  const [first, ...rest] = condition.operands;
+  const lines = [line + first, ..._.map(rest, operand => `    && ${operand}`)];
+  lines[lines.length - 1] += ';';
+  return lines;
+}
+
+function locate(e, path, location) {
+  if (e.located) return e;
+  e.reason = e.reason || e.message;
+  e.message += ` (at ${path}${location ? ' in ' + formatLocation(location) : ''})`;
+  e.located = true;
+  e.path = path;
+  e.location = location;
+  return e;
+}
+
+function parseConstraint(value) {
+  if (!_.isString(value)) return {keywords: [], expression: ''};
+  const match = value.match(/^\s*((required|indexed|encrypted(\[.*?\])?)(\s+|$))*/);
+  return {
+    keywords: _.map(_.compact(match[0].split(/\s+/)), keyword => keyword.replace(/\[.*/, '')),
+    expression: _.trim(value.slice(match[0].length))
+  };
+}
+
+
+// Compiles the rules tree into Cloud Firestore security rules.  Collections and documents alternate
+// down the tree, starting with collections at the root; a child of a document that holds nothing
+// but a $wildcard of objects is a subcollection, and any other child is a field.
+class FirestoreGenerator {
+  constructor(source, options) {
+    this.source = cloneSource(source);
+    expandTypes(this.source);
+    this.env = options && options.env || {};
+    this.used = [];
+  }
+
+  generate() {
+    this.defineFunctions();
+    this.root = this.buildNode(this.source.root || {}, 'root', 'root');
+    const matches = _.flatMap(
+      this.root.entries, collection => this.matchCollection(collection, [this.root]));
+    const declarations = this.declareFunctions();
+    const body = _.map(declarations.concat(matches), block => block.join('\n')).join('\n\n');
+    return [
+      '// Generated by fireplan. Do not edit directly.',
+      'rules_version = \'2\';',
+      '',
+      'service cloud.firestore {',
+      '  match /databases/{database}/documents {',
+      ..._.map(body.split('\n'), line => line ? '    ' + line : line),
+      '  }',
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  defineFunctions() {
+    this.functions = {};
+    const define = (definitions, isLibrary) => _.forEach(definitions, definition => {
+      _.forEach(definition, (body, signature) => {
+        const match = signature.match(/^\s*(\w+)\s*(?:\((.*?)\))?\s*$/);
+        // Invalid signatures are reported by the database compiler, which runs first.
+        if (!match || isLibrary && this.functions[match[1]]) return;
+        const name = match[1];
+        const location = locationOf(definition, signature);
+        let ast;
+        try {
+          ast = esprima.parse(String(body)).body[0].expression;
+        } catch (e) {
+          e.message += ' in ' + body;
+          throw locate(e, `function ${name}`, location);
+        }
+        this.functions[name] = {
+          name, ast, location, body: String(body),
+          args: _.compact(_.map((match[2] || '').split(','), _.trim)),
+          declaredName: _.includes(RESERVED, name) ? name + '_' : name,
+          calls: [], uses: []
+        };
+      });
+    });
+    define(this.source.functions || [], false);
+    define(library.FUNCTIONS, true);
+    _.forEach(this.functions, fn => {
+      estraverse.traverse(fn.ast, {enter: (node, parent) => {
+        if (node.type !== 'Identifier' || parent && parent.type === 'MemberExpression' &&
+            !parent.computed && parent.property === node) return;
+        if (node.name === 'next' || node.name === 'newData' || _.has(TYPE_FUNCTIONS, node.name) ||
+            node.name === 'oneOf' || node.name === 'is') {
+          fn.uses = _.union(fn.uses, ['next']);
+        } else if (node.name === 'prev' || node.name === 'data') {
+          fn.uses = _.union(fn.uses, ['prev']);
+        } else if (_.has(this.functions, node.name) && !_.includes(fn.args, node.name)) {
+          fn.calls = _.union(fn.calls, [node.name]);
+        }
+      }});
+    });
+    // Functions get passed the values of next and prev if they, or any function they call, use
+    // them, since Firestore functions can't tell where they were called from.
+    let changed = true;
+    while (changed) {
+      changed = false;
+      _.forEach(this.functions, fn => {
+        const uses = _.union(fn.uses, ..._.map(fn.calls, name => this.functions[name].uses));
+        if (uses.length === fn.uses.length) return;
+        fn.uses = uses;
+        changed = true;
+      });
+    }
+    _.forEach(this.functions, fn => {
+      fn.params = fn.args.concat(_.filter(['next', 'prev'], name => _.includes(fn.uses, name)));
+    });
+  }
+
+  // Declares every function used by the rules, in the order they were defined.
+  declareFunctions() {
+    const declarations = {};
+    let pending;
+    while ((pending = _.difference(this.used, _.keys(declarations))).length) {
+      _.forEach(pending, name => {
+        const fn = this.functions[name];
+        const context = {fn, path: `function ${name}`, location: fn.location};
+        _.forEach(fn.args, arg => {
+          if (!isIdentifier(arg) || _.includes(RESERVED, arg)) {
+            throw locate(
+              new Error(`Argument ${arg} can't be used as a Firestore function parameter`),
+              context.path, fn.location);
+          }
+        });
+        const body = this.translateAst(fn.ast, fn.body, context);
+        declarations[name] = [
+          `function ${fn.declaredName}(${fn.params.join(', ')}) {`,
+          `  return ${body.code};`,
+          '}'
+        ];
+      });
+    }
+    return _.map(_.filter(_.keys(this.functions), name => declarations[name]),
+      name => declarations[name]);
+  }
+
+  buildNode(yaml, path, kind, parent, key) {
+    const shorthand = _.isString(yaml);
+    if (shorthand) yaml = {'.value': yaml};
+    if (!_.isPlainObject(yaml)) yaml = {};
+    const location = parent ? locationOf(parent.yaml, key) : locationOf(this.source, 'root');
+    const {keywords, expression} = parseConstraint(yaml['.value']);
+    const node = {
+      kind, yaml, path, parent, location, keywords, expression, shorthand, entries: [],
+      name: key && key.replace(/\/.*/, ''),
+      open: yaml['.more'] === true || expression === 'any'
+    };
+    if (node.name && node.name.charAt(0) === '$') {
+      node.wildcard = true;
+      node.variable = node.name.slice(1);
+    }
+    this.checkNode(node);
+    _.forEach(yaml, (value, childKey) => {
+      if (childKey.charAt(0) === '.') return;
+      const name = childKey.replace(/\/.*/, '');
+      const childPath = name.charAt(0) === '$' ? `${path}[${name}]` : `${path}.${name}`;
+      let childKind = 'field';
+      if (kind === 'root') childKind = 'collection';
+      if (kind === 'collection') childKind = 'document';
+      if (kind === 'document' && this.isCollection(value)) childKind = 'collection';
+      node.entries.push(this.buildNode(value, childPath, childKind, node, childKey));
+    });
+    return node;
+  }
+
+  isCollection(yaml) {
+    if (!_.isPlainObject(yaml)) return false;
+    const children = _.reject(_.keys(yaml), key => key.charAt(0) === '.');
+    if (children.length !== 1 || children[0].charAt(0) !== '$') return false;
+    const document = yaml[children[0]];
+    return _.isPlainObject(document) && _.some(_.keys(document), key => key.charAt(0) !== '.');
+  }
+
+  checkNode(node) {
+    const fail = message => {
+      throw locate(new Error(message), node.path, node.location);
+    };
+    const hasRules = _.some(['.read', '.write', '.read/write'], key => key in node.yaml);
+    if (node.kind === 'root' || node.kind === 'collection') {
+      if (node.expression && node.expression !== 'any') {
+        fail(`Firestore can't validate the ${node.kind === 'root' ? 'root' : 'collection'} as ` +
+          'a whole, only the documents in it');
+      }
+    }
+    if (node.kind === 'document') {
+      if (node.shorthand && node.expression && node.expression !== 'any') {
+        fail('Firestore documents must be maps of fields, not a single value');
+      }
+      if (node.wildcard && (!isIdentifier(node.variable) || _.includes(RESERVED, node.variable))) {
+        fail(`Wildcard ${node.name} can't be used as a Firestore path variable`);
+      }
+    }
+    if ((node.kind === 'document' || node.kind === 'collection') &&
+        _.includes(node.keywords, 'required')) {
+      fail(`Firestore can't require a ${node.kind} to exist`);
+    }
+    if (node.kind === 'field' && hasRules) {
+      fail('Firestore rules apply to whole documents, so fields can\'t have .read or .write rules');
+    }
+  }
+
+  // Returns the match blocks of the documents in a collection.  Rules declared higher up the tree
+  // grant access to everything below them, so they're added to those of each document.
+  matchCollection(collection, ancestors) {
+    return _.map(collection.entries, document => {
+      const levels = ancestors.concat([collection, document]);
+      const segment = document.wildcard ? `{${document.variable}}` : document.name;
+      const lines = [`match /${collection.name}/${segment} {`];
+      const read = any(_.compact(_.map(levels, level => this.rule(level, '.read', document))));
+      const write = any(_.compact(_.map(levels, level => this.rule(level, '.write', document))));
+      // Validations get translated even if nothing can write, so that errors don't go unnoticed.
+      const validation = all(this.validations(document, document));
+      const allowed = [];
+      if (read.code !== 'false') allowed.push(...allow('read', read));
+      if (write.code !== 'false') {
+        if (validation.code === 'true') {
+          allowed.push(...allow('write', write));
+        } else {
+          allowed.push(...allow('create, update', all([write, validation])));
+          allowed.push(...allow('delete', write));
+        }
+      }
+      lines.push(..._.map(allowed, line => '  ' + line));
+      _.forEach(_.filter(document.entries, {kind: 'collection'}), subcollection => {
+        _.forEach(this.matchCollection(subcollection, levels), block => {
+          lines.push('', ..._.map(block, line => line ? '  ' + line : line));
+        });
+      });
+      lines.push('}');
+      return lines;
+    });
+  }
+
+  rule(node, kind, document) {
+    let expression = node.yaml[kind];
+    if (expression === undefined) expression = node.yaml['.read/write'];
+    if (expression === undefined) return;
+    const location = locationOf(node.yaml, kind) || locationOf(node.yaml, '.read/write');
+    const context = {
+      node, document, path: node.path, location, mode: kind === '.read' ? 'prev' : 'next'
+    };
+    return this.translate(expression, context);
+  }
+
+  // Returns the conditions that a document or field must meet when written, checking optional
+  // children only when they're present, since Firebase doesn't validate missing values.
+  validations(node, document) {
+    const conditions = [];
+    const context = {node, document, path: node.path, location: node.location, mode: 'next'};
+    if (node.expression && node.expression !== 'any') {
+      const location = locationOf(node.yaml, '.value') || node.location;
+      conditions.push(this.translate(node.expression, _.assign({}, context, {location})));
+    }
+    const fields = _.filter(node.entries, {kind: 'field'});
+    const children = _.reject(fields, 'wildcard');
+    if (!fields.length) return conditions;
+    const value = () => this.value(this.reference(node, 'next'), context).code;
+    const names = list => `[${_.map(list, child => quote(child.name)).join(', ')}]`;
+    const required = _.filter(children, child => _.includes(child.keywords, 'required'));
+    if (required.length) {
+      conditions.push({code: `${value()}.keys().hasAll(${names(required)})`, prec: POSTFIX});
+    }
+    if (!node.open && children.length === fields.length) {
+      conditions.push({code: `${value()}.keys().hasOnly(${names(children)})`, prec: POSTFIX});
+    }
+    _.forEach(fields, child => {
+      if (child.wildcard && (child.expression && child.expression !== 'any' ||
+          child.entries.length)) {
+        throw locate(new Error(
+          'Firestore rules can\'t check every entry of a map, so its values must be any'),
+        child.path, child.location);
+      }
+      const childConditions = this.validations(child, document);
+      if (!childConditions.length) return;
+      const condition = all(childConditions);
+      conditions.push(_.includes(child.keywords, 'required') ? condition :
+        any([{code: `!(${quote(child.name)} in ${value()})`, prec: UNARY}, condition]));
+    });
+    return conditions;
+  }
+
+  translate(expression, context) {
+    if (_.isBoolean(expression)) expression = String(expression);
+    let ast;
+    try {
+      if (!_.isString(expression)) throw new Error('Expression expected, got: ' + expression);
+      ast = esprima.parse(expression).body[0].expression;
+    } catch (e) {
+      if (_.isString(expression)) e.message += ' in ' + expression;
+      throw locate(e, context.path, context.location);
+    }
+    return this.translateAst(ast, expression, context);
+  }
+
+  translateAst(ast, expression, context) {
+    try {
+      return this.term(this.translateNode(ast, context), context);
+    } catch (e) {
+      if (!e.located) e.message += ' in ' + expression;
+      throw locate(e, context.path, context.location);
+    }
+  }
+
+  // Translates an expression node into a term with the code and precedence of its Firestore
+  // equivalent, or into a reference to data in the database for snapshots.
+  translateNode(node, context) {
+    const term = child => this.term(this.translateNode(child, context), context);
+    switch (node.type) {
+      case 'Literal':
+        if (node.regex) return {code: quote(convertPattern(node.regex)), prec: PRIMARY};
+        return {
+          code: _.isString(node.value) ? quote(node.value) : String(node.value), prec: PRIMARY
+        };
+      case 'ArrayExpression':
+        return {code: `[${_.map(node.elements, element => term(element).code).join(', ')}]`,
+          prec: PRIMARY};
+      case 'Identifier':
+        return this.translateIdentifier(node.name, context);
+      case 'UnaryExpression':
+      {
+        if (node.operator !== '!' && node.operator !== '-') break;
+        const argument = term(node.argument);
+        if (node.operator === '!') return negate(argument);
+        return {code: node.operator + wrap(argument, UNARY), prec: UNARY};
+      }
+      case 'BinaryExpression':
+      case 'LogicalExpression': {
+        const operator = OPERATORS[node.operator] || node.operator;
+        const precedence = PRECEDENCE[operator];
+        if (!precedence) break;
+        if (operator === '==' || operator === '!=') {
+          return this.translateEquality(node, operator, context);
+        }
+        return {
+          code: `${wrap(term(node.left), precedence)} ${operator} ` +
+            wrap(term(node.right), precedence + 1),
+          prec: precedence
+        };
+      }
+      case 'ConditionalExpression':
+        return {
+          code: `${wrap(term(node.test), CONDITIONAL + 1)} ? ` +
+            `${wrap(term(node.consequent), CONDITIONAL)} : ` +
+            wrap(term(node.alternate), CONDITIONAL),
+          prec: CONDITIONAL
+        };
+      case 'MemberExpression':
+        return this.translateMember(node, context);
+      case 'CallExpression':
+        return this.translateCall(node, context);
+    }
+    throw new Error('Unsupported in Firestore rules: ' + node.type);
+  }
+
+  // Missing data is null in the Realtime Database, but an error in Firestore, so snapshots compared
+  // with null turn into existence checks, and any others are read with a null default.
+  translateEquality(node, operator, context) {
+    const operand = child => {
+      if (child.type === 'CallExpression' && child.callee.type === 'MemberExpression' &&
+          !child.callee.computed && child.callee.property.name === 'val' &&
+          !child.arguments.length) {
+        child = child.callee.object;
+      }
+      return this.translateNode(child, context);
+    };
+    const left = operand(node.left), right = operand(node.right);
+    const snapshot = isNull(node.right) ? left : isNull(node.left) && right;
+    if (snapshot && snapshot.ref) {
+      const exists = this.exists(snapshot.ref, context);
+      return operator === '==' ? negate(exists) : exists;
+    }
+    const value = term => term.ref ? this.value(term.ref, context, true) : term;
+    return {
+      code: `${wrap(value(left), RELATION)} ${operator} ` +
+        wrap(value(right), RELATION + 1),
+      prec: RELATION
+    };
+  }
+
+  translateIdentifier(name, context) {
+    switch (name) {
+      case 'auth': return {code: 'request.auth', prec: POSTFIX, auth: true};
+      case 'now': return {code: 'request.time.toMillis()', prec: POSTFIX};
+      case 'query': throw new Error('Firestore rules have no equivalent of query');
+      case 'root': return {ref: this.reference(null, 'prev')};
+      case 'next': case 'newData': return this.current('next', context);
+      case 'prev': case 'data': return this.current('prev', context);
+    }
+    if (context.fn && _.includes(context.fn.args, name)) return {code: name, prec: PRIMARY};
+    if (name.charAt(0) === '$' && !context.fn) {
+      for (let node = context.node; node; node = node.parent) {
+        if (node.name !== name) continue;
+        if (node.kind !== 'document') {
+          throw new Error(`Firestore rules can't refer to the keys of a map: ${name}`);
+        }
+        return {code: node.variable, prec: PRIMARY};
+      }
+    }
+    if (!context.fn) {
+      for (let node = context.node; node; node = node.parent) {
+        if (node.yaml['.ref'] === name) return {ref: this.reference(node, context.mode)};
+      }
+    }
+    if (TYPE_FUNCTIONS[name] || name === 'any' || _.has(this.functions, name)) {
+      return this.translateFunction(name, [], context);
+    }
+    throw new Error('Unknown reference: ' + name);
+  }
+
+  translateMember(node, context) {
+    if (node.object.type === 'Identifier' && node.object.name === 'env') {
+      const name = node.computed ? node.property.value : node.property.name;
+      if (!_.has(this.env, name)) {
+        throw new Error(`Undeclared env variable: ${name} (add it to the env: section)`);
+      }
+      if (this.env[name] === undefined) {
+        throw new Error(`env.${name} is not set and has no default`);
+      }
+      return {code: quote(this.env[name]), prec: PRIMARY};
+    }
+    const object = this.translateNode(node.object, context);
+    if (object.ref) {
+      const segment = node.computed ? this.segment(node.property, context) :
+        {literal: node.property.name};
+      return {ref: this.child(object.ref, segment)};
+    }
+    if (node.computed) {
+      const property = this.term(this.translateNode(node.property, context), context);
+      return {code: `${wrap(object, POSTFIX)}[${property.code}]`, prec: POSTFIX};
+    }
+    const name = node.property.name;
+    if (object.auth && name === 'provider') {
+      return {code: 'request.auth.token.firebase.sign_in_provider', prec: POSTFIX};
+    }
+    if (name === 'length') return {code: `${wrap(object, POSTFIX)}.size()`, prec: POSTFIX};
+    return {code: `${wrap(object, POSTFIX)}.${name}`, prec: POSTFIX};
+  }
+
+  translateCall(node, context) {
+    const args = () => _.map(node.arguments, arg => this.term(this.translateNode(arg, context),
+      context));
+    if (node.callee.type === 'Identifier') {
+      return this.translateFunction(node.callee.name, node.arguments, context);
+    }
+    if (node.callee.type !== 'MemberExpression' || node.callee.computed) {
+      throw new Error('Unsupported call in Firestore rules');
+    }
+    const method = node.callee.property.name;
+    const object = this.translateNode(node.callee.object, context);
+    if (object.ref) {
+      switch (method) {
+        case 'val': return this.value(object.ref, context);
+        case 'exists': return this.exists(object.ref, context);
+        case 'child':
+          return {ref: this.child(object.ref, this.segment(node.arguments[0], context))};
+        case 'parent': return {ref: this.parent(object.ref)};
+      }
+    }
+    const value = this.term(object, context);
+    const literal = () => {
+      const arg = node.arguments[0];
+      if (!arg || arg.type !== 'Literal' || !_.isString(arg.value)) {
+        throw new Error(`Firestore rules need a literal string argument for ${method}()`);
+      }
+      return escapeRegExp(arg.value);
+    };
+    const call = (name, list) => ({
+      code: `${wrap(value, POSTFIX)}.${name}(${_.map(list, 'code').join(', ')})`, prec: POSTFIX
+    });
+    const matches = pattern => call('matches', [{code: quote(pattern)}]);
+    if (TYPE_CHECKS[method]) {
+      return {code: `${wrap(value, RELATION + 1)} is ${TYPE_CHECKS[method]}`, prec: RELATION};
+    }
+    switch (method) {
+      case 'val': return value;
+      case 'exists': return this.compare(value, 'null');
+      case 'child': return {code: `${wrap(value, POSTFIX)}[${args()[0].code}]`, prec: POSTFIX};
+      case 'parent':
+        throw new Error('Firestore functions can\'t reach the parent of their arguments');
+      case 'hasChild':
+        return {code: `${wrap(args()[0], RELATION + 1)} in ${wrap(value, RELATION + 1)}`,
+          prec: RELATION};
+      case 'hasChildren':
+        if (!node.arguments.length) {
+          return {code: `${wrap(value, RELATION + 1)} is map`, prec: RELATION};
+        }
+        return {code: `${wrap(value, POSTFIX)}.keys().hasAll(${args()[0].code})`, prec: POSTFIX};
+      case 'contains': return matches(`.*${literal()}.*`);
+      case 'beginsWith': return matches(`${literal()}.*`);
+      case 'endsWith': return matches(`.*${literal()}`);
+      case 'matches': return call('matches', args());
+      case 'toLowerCase': return call('lower', []);
+      case 'toUpperCase': return call('upper', []);
+      case 'replace': {
+        const replacement = args()[1];
+        return call('replace', [{code: quote(literal())}, replacement]);
+      }
+    }
+    throw new Error(`Firestore rules have no equivalent of ${method}()`);
+  }
+
+  translateFunction(name, args, context) {
+    const current = () => this.term(this.current('next', context), context);
+    if (name === 'oneOf' || name === 'is') {
+      const values = _.map(args, arg => this.term(this.translateNode(arg, context), context).code);
+      return name === 'is' ?
+        {code: `${wrap(current(), RELATION + 1)} == ${values[0]}`, prec: RELATION} :
+        {code: `${wrap(current(), RELATION + 1)} in [${values.join(', ')}]`, prec: RELATION};
+    }
+    if (TYPE_FUNCTIONS[name]) {
+      return {code: `${wrap(current(), RELATION + 1)} is ${TYPE_FUNCTIONS[name]}`, prec: RELATION};
+    }
+    if (name === 'any') return {code: 'true', prec: PRIMARY};
+    const fn = this.functions[name];
+    if (!fn) throw new Error('Call to undefined function: ' + name);
+    if (args.length !== fn.args.length) {
+      throw new Error(`Number of arguments in call to ${name} differs from its signature`);
+    }
+    this.used = _.union(this.used, [name]);
+    // Snapshots are passed by value, as null if there's no data.
+    const values = _.map(args, arg => {
+      const term = this.translateNode(arg, context);
+      return term.ref ? this.value(term.ref, context, true).code : term.code;
+    });
+    _.forEach(['next', 'prev'], implicit => {
+      if (!_.includes(fn.uses, implicit)) return;
+      const term = this.current(implicit, context);
+      values.push(term.ref ? this.value(term.ref, context, true).code : term.code);
+    });
+    return {code: `${fn.declaredName}(${values.join(', ')})`, prec: POSTFIX};
+  }
+
+  current(name, context) {
+    if (context.fn) return {code: name, prec: PRIMARY};
+    return {ref: this.reference(context.node, name)};
+  }
+
+  term(term, context) {
+    return term.ref ? this.value(term.ref, context) : term;
+  }
+
+  segment(node, context) {
+    if (!node) throw new Error('child() expects a key');
+    if (node.type === 'Literal' && !node.regex) return {literal: String(node.value)};
+    return {expression: this.term(this.translateNode(node, context), context).code};
+  }
+
+  // References to data are a list of steps from the root, each with the segment of the path, its
+  // node in the tree if known, and whether it's a collection, document or field.
+  reference(node, mode) {
+    const steps = [];
+    for (; node; node = node.parent) {
+      if (node.kind === 'root') break;
+      steps.unshift({
+        node, kind: node.kind,
+        segment: node.wildcard ?
+          {expression: node.variable, wildcard: node.kind !== 'document' && node.name} :
+          {literal: node.name}
+      });
+    }
+    return {mode, steps};
+  }
+
+  child(ref, segment) {
+    const last = _.last(ref.steps);
+    const parentNode = last ? last.node : this.root;
+    let node;
+    if (parentNode) {
+      node = segment.literal !== undefined && _.find(
+        parentNode.entries, child => !child.wildcard && child.name === segment.literal) ||
+        _.find(parentNode.entries, 'wildcard');
+    }
+    const kind = node ? node.kind :
+      {root: 'collection', collection: 'document'}[last ? last.kind : 'root'] || 'field';
+    return {mode: ref.mode, steps: ref.steps.concat([{node, kind, segment}])};
+  }
+
+  parent(ref) {
+    if (!ref.steps.length) throw new Error('The root has no parent');
+    return {mode: ref.mode, steps: _.initial(ref.steps)};
+  }
+
+  // Splits a reference into the document it's in, and the path of fields within that document.
+  locateData(ref, context) {
+    const index = _.findLastIndex(ref.steps, {kind: 'document'});
+    if (index < 0) {
+      throw new Error('Firestore rules can only read documents and their fields, not ' +
+        (ref.steps.length ? this.path(ref.steps) : 'the root'));
+    }
+    const documentPath = this.path(ref.steps.slice(0, index + 1));
+    const fields = _.map(ref.steps.slice(index + 1), step => {
+      if (step.segment.wildcard) {
+        throw new Error(
+          `Firestore rules can't refer to the keys of a map: ${step.segment.wildcard}`);
+      }
+      return step.segment;
+    });
+    const current = context.document &&
+      documentPath === this.path(this.reference(context.document).steps);
+    return {documentPath, fields, current};
+  }
+
+  path(steps) {
+    return '/databases/$(database)/documents/' + _.map(steps, ({segment}) => {
+      if (segment.literal === undefined) return `$(${segment.expression})`;
+      return /^[\w.~-]+$/.test(segment.literal) ? segment.literal : `$(${quote(segment.literal)})`;
+    }).join('/');
+  }
+
+  value(ref, context, safe) {
+    const {documentPath, fields, current} = this.locateData(ref, context);
+    const next = ref.mode === 'next';
+    let base = `${next ? 'getAfter' : 'get'}(${documentPath}).data`;
+    if (current) base = next ? 'request.resource.data' : 'resource.data';
+    const key = segment => segment.literal === undefined ? segment.expression :
+      quote(segment.literal);
+    if (!safe) {
+      return {code: base + _.map(fields, segment => segment.literal !== undefined &&
+        isIdentifier(segment.literal) ? '.' + segment.literal : `[${key(segment)}]`).join(''),
+      prec: POSTFIX};
+    }
+    let value = base;
+    if (fields.length) {
+      const path = fields.length === 1 ? key(fields[0]) : `[${_.map(fields, key).join(', ')}]`;
+      value = `${base}.get(${path}, null)`;
+    }
+    // The previous document doesn't exist when it's being created.
+    if (current && !next) return {code: `resource == null ? null : ${value}`, prec: CONDITIONAL};
+    return {code: value, prec: POSTFIX};
+  }
+
+  exists(ref, context) {
+    const {documentPath, fields, current} = this.locateData(ref, context);
+    const next = ref.mode === 'next';
+    if (fields.length) return this.compare(this.value(ref, context, true), 'null');
+    if (current) return this.compare({code: next ? 'request.resource' : 'resource'}, 'null');
+    return {code: `${next ? 'existsAfter' : 'exists'}(${documentPath})`, prec: POSTFIX};
+  }
+
+  compare(term, value) {
+    const left = wrap(term, RELATION + 1);
+    return {
+      code: `${left} != ${value}`, prec: RELATION,
+      negation: {code: `${left} == ${value}`, prec: RELATION}
+    };
+  }
+}
+
+
+exports.FirestoreGenerator = FirestoreGenerator;
+
+exports.generateFirestoreRules = function(source, options) {
+  return new FirestoreGenerator(source, options).generate();
+};
@@ -0,0 +1,386 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const {JsonSchemaGenerator} = require('./json_schema_generator');
+
+const DEFAULT_NOW = Date.UTC(2024, 0, 1);
+const WORDS = [
+  'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet',
+  'kilo', 'lima', 'mike', 'november', 'oscar', 'papa'
+];
+const CHARACTERS = {
+  d: '0123456789',
+  w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_',
+  s: ' '
+};
+const PRINTABLE = _.map(_.range(32, 127), code => String.fromCharCode(code)).join('');
+const WRONG_VALUES = [42, 'wrong type', true, {wrong: 'type'}];
+
+
+// A small seeded random number generator (mulberry32), so that fixtures are repeatable.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = state + 0x6D2B79F5 >>> 0;
+    let t = state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+function flatten(node) {
+  if (node.type !== 'LogicalExpression' || node.operator !== '&&') return [node];
+  return flatten(node.left).concat(flatten(node.right));
+}
+
+// Generates a string that matches a regular expression, for the subset of syntax that Firebase
+// supports.  Throws if the pattern uses anything else.
+function sampleRegex(pattern, random) {
+  let index = 0;
+  const pick = chars => chars.charAt(Math.floor(random() * chars.length));
+  const peek = () => pattern.charAt(index);
+
+  const parseEscape = () => {
+    const char = pattern.charAt(index++);
+    if (CHARACTERS[char]) return CHARACTERS[char];
+    if (/[a-zA-Z0-9]/.test(char)) throw new Error(`Unsupported escape: \\${char}`);
+    return char;
+  };
+
+  const parseClass = () => {
+    const negated = peek() === '^';
+    if (negated) index++;
+    let chars = '';
+    while (index < pattern.length && peek() !== ']') {
+      let char = pattern.charAt(index++);
+      if (char === '\\') {
+        char = parseEscape();
+        if (char.length > 1) {
+          chars += char;
+          continue;
+        }
+      }
+      if (peek() === '-' && pattern.charAt(index + 1) && pattern.charAt(index + 1) !== ']') {
+        index++;
+        let end = pattern.charAt(index++);
+        if (end === '\\') end = parseEscape();
+        for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+          chars += String.fromCharCode(code);
+        }
+      } else {
+        chars += char;
+      }
+    }
+    if (peek() !== ']') throw new Error('Unterminated character class');
+    index++;
+    if (negated) chars = _.filter(PRINTABLE, char => !_.includes(chars, char)).join('');
+    return () => pick(chars);
+  };
+
+  const parseAtom = () => {
+    const char = pattern.charAt(index++);
+    switch (char) {
+      case '^': case '$': return () => '';
+      case '.': return () => pick(CHARACTERS.w);
+      case '[': return parseClass();
+      case '(': {
+        if (pattern.slice(index, index + 2) === '?:') index += 2;
+        const group = parseAlternation();
+        if (peek() !== ')') throw new Error('Unterminated group');
+        index++;
+        return group;
+      }
+      case '\\': {
+        const chars = parseEscape();
+        return () => chars.length > 1 ? pick(chars) : chars;
+      }
+      default:
+        return () => char;
+    }
+  };
+
+  const parseQuantifier = () => {
+    let min = 1, max = 1;
+    const char = peek();
+    if (char === '?') {
+      min = 0;
+    } else if (char === '*') {
+      min = 0; max = min + 3;
+    } else if (char === '+') {
+      max = min + 3;
+    } else if (char === '{') {
+      const match = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+      if (!match) return {min, max};
+      min = Number(match[1]);
+      max = match[2] ? match[3] ? Number(match[3]) : min + 3 : min;
+      index += match[0].length - 1;
+    } else {
+      return {min, max};
+    }
+    index++;
+    if (peek() === '?') index++;
+    return {min, max};
+  };
+
+  const parseSequence = () => {
+    const parts = [];
+    while (index < pattern.length && peek() !== '|' && peek() !== ')') {
+      const atom = parseAtom();
+      const {min, max} = parseQuantifier();
+      parts.push(() => {
+        const count = min + Math.floor(random() * (max - min + 1));
+        return _.times(count, atom).join('');
+      });
+    }
+    return () => _.map(parts, part => part()).join('');
+  };
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()];
+    while (peek() === '|') {
+      index++;
+      branches.push(parseSequence());
+    }
+    return () => branches[Math.floor(random() * branches.length)]();
+  };
+
+  const sampler = parseAlternation();
+  if (index < pattern.length) throw new Error(`Unsupported regular expression: /${pattern}/`);
+  return sampler();
+}
+
+function literalValue(node) {
+  if (node.type === 'Literal') {
+    return node.regex ? new RegExp(node.regex.pattern, node.regex.flags) : node.value;
+  }
+  if (node.type === 'UnaryExpression' && node.operator === '-' && _.isNumber(node.argument.value)) {
+    return -node.argument.value;
+  }
+}
+
+
+// Generates random data that satisfies the rules, using the same analysis of the rules tree as
+// the JSON Schema generator.
+class FixtureGenerator {
+  constructor(source, options) {
+    options = options || {};
+    this.schemas = new JsonSchemaGenerator(source);
+    this.source = source;
+    this.random = seededRandom(_.isNumber(options.seed) ? options.seed : 1);
+    this.count = _.isNumber(options.count) ? options.count : 3;
+    this.optional = _.isNumber(options.optional) ? options.optional : 0.5;
+    this.now = _.isNumber(options.now) ? options.now : DEFAULT_NOW;
+    this.generators = options.generators || {};
+  }
+
+  generate(invalid) {
+    const root = this.schemas.types.toNode(this.source.root || {});
+    const data = this.value(root, '', {});
+    return {data, invalid: invalid ? this.invalidVariants(root, data) : []};
+  }
+
+  // Optional leaves are left out some of the time, but branches are always filled in.
+  value(node, path, variables) {
+    const custom = this.customValue(node.expression, path, variables);
+    if (custom) return custom.value;
+    if (node.kind !== 'object') {
+      return this.sample(this.schemas.expressionSchema(node.expression), node.type);
+    }
+
+    const data = {};
+    _.forEach(node.entries, entry => {
+      if (entry.wildcard) {
+        const keyPatterns = [];
+        this.schemas.expressionSchema(entry.node.expression, entry.name, keyPatterns);
+        _.forEach(this.keys(entry, keyPatterns), key => {
+          data[key] = this.value(
+            entry.node, `${path}/${key}`, _.assign({}, variables, {[entry.name]: key}));
+        });
+      } else if (entry.required || entry.node.kind === 'object' || this.random() < this.optional) {
+        data[entry.name] = this.value(entry.node, `${path}/${entry.name}`, variables);
+      }
+    });
+    return data;
+  }
+
+  keys(entry, keyPatterns) {
+    const keys = [];
+    const base = entry.name.slice(1);
+    for (let i = 1; keys.length < this.count && i <= this.count * 10; i++) {
+      let key = base + i;
+      if (keyPatterns.length) {
+        try {
+          key = sampleRegex(keyPatterns[0], this.random);
+        } catch {
+          // Fall back to the default key, which is dropped below if it doesn't match.
+        }
+      }
+      const matches = _.every(keyPatterns, keyPattern => new RegExp(keyPattern).test(key));
+      if (key && matches && !_.includes(keys, key)) keys.push(key);
+    }
+    return keys;
+  }
+
+  // Calls the first custom generator registered for a function used in the expression.
+  customValue(expression, path, variables) {
+    if (!expression || _.isEmpty(this.generators)) return;
+    let ast;
+    try {
+      ast = esprima.parse(expression).body[0].expression;
+    } catch {
+      return;
+    }
+    for (const term of flatten(ast)) {
+      const call = term.type === 'CallExpression' && term.callee.type === 'Identifier';
+      const name = call ? term.callee.name : term.type === 'Identifier' && term.name;
+      if (!name || !_.has(this.generators, name)) continue;
+      const args = call ? _.map(term.arguments, literalValue) : [];
+      return {value: this.generators[name](args, {random: this.random, path, variables})};
+    }
+  }
+
+  // Picks a value satisfying a schema produced by the JSON Schema generator, falling back on the
+  // inferred TypeScript type for conditions the schema couldn't express.
+  sample(schema, type) {
+    if (schema.$ref) return this.sample(this.schemas.defs[schema.$ref.replace(/.*\//, '')], type);
+    if ('const' in schema) return schema.const;
+    if (schema.enum) return schema.enum[Math.floor(this.random() * schema.enum.length)];
+    if (schema.anyOf) {
+      const options = _.reject(schema.anyOf, {type: 'null'});
+      return this.sample(options[Math.floor(this.random() * options.length)], type);
+    }
+    if (schema.allOf) {
+      const merged = _.assign({}, _.omit(schema, 'allOf'), ..._.map(schema.allOf, part =>
+        part.$ref ? this.schemas.defs[part.$ref.replace(/.*\//, '')] : part));
+      return this.sample(merged, type);
+    }
+    switch (schema.type) {
+      case 'string':
+        return this.string(schema);
+      case 'integer':
+      case 'number':
+        return this.number(schema);
+      case 'boolean':
+        return this.random() < 0.5;
+      case 'null':
+        return null;
+    }
+    if (!type || /^(any|unknown)$/.test(type) || /string|"/.test(type)) return this.string({});
+    if (/number/.test(type)) return this.number({});
+    if (/boolean/.test(type)) return this.random() < 0.5;
+    return this.string({});
+  }
+
+  string(schema) {
+    if (schema.pattern) {
+      try {
+        const value = sampleRegex(schema.pattern, this.random);
+        if (new RegExp(schema.pattern).test(value)) return value;
+      } catch {
+        // Fall through to an arbitrary word.
+      }
+    }
+    const min = schema.minLength || 0;
+    const max = _.isNumber(schema.maxLength) ? schema.maxLength : Math.max(min, 12);
+    let value = WORDS[Math.floor(this.random() * WORDS.length)];
+    while (value.length < min) value += '-' + WORDS[Math.floor(this.random() * WORDS.length)];
+    return value.slice(0, Math.max(min, Math.min(max, value.length)));
+  }
+
+  number(schema) {
+    if (/^(timestamp|serverTimestamp)$/.test(schema.description)) {
+      return schema.description === 'serverTimestamp' ?
+        this.now : this.now - Math.floor(this.random() * 30 * 24 * 60 * 60 * 1000);
+    }
+    const exclusiveMin = _.isNumber(schema.exclusiveMinimum);
+    const exclusiveMax = _.isNumber(schema.exclusiveMaximum);
+    const min = exclusiveMin ? schema.exclusiveMinimum :
+      _.isNumber(schema.minimum) ? schema.minimum : 0;
+    const max = exclusiveMax ? schema.exclusiveMaximum :
+      _.isNumber(schema.maximum) ? schema.maximum : min + 100;
+    const low = exclusiveMin ? Math.floor(min) + 1 : Math.ceil(min);
+    const high = exclusiveMax ? Math.ceil(max) - 1 : Math.floor(max);
+    if (schema.type !== 'integer' && (min % 1 || max % 1 || low > high)) {
+      // Keep clear of exclusive bounds.
+      const fraction = exclusiveMin || exclusiveMax ? 0.25 + this.random() / 2 : this.random();
+      return min + fraction * (max - min);
+    }
+    return low + Math.floor(this.random() * (high - low + 1));
+  }
+
+  // Returns copies of the data that each break one rule:  a required child left out, an unknown
+  // child added where none are allowed, or a value of the wrong type.  Each rule is broken only
+  // once, at the first place it applies.
+  invalidVariants(root, data) {
+    const variants = [];
+    const seen = new Set();
+    const add = (kind, rulePath, path, message, mutate) => {
+      if (seen.has(`${kind} ${rulePath}`)) return;
+      seen.add(`${kind} ${rulePath}`);
+      const copy = _.cloneDeep(data);
+      const segments = _.compact(path.split('/'));
+      const parent = segments.length > 1 ? _.get(copy, segments.slice(0, -1)) : copy;
+      mutate(parent, _.last(segments));
+      variants.push({kind, path, message, data: copy});
+    };
+    const visit = (node, value, rulePath, path) => {
+      if (node.kind !== 'object') {
+        const wrong = this.wrongValue(node.type);
+        if (wrong === undefined || !path) return;
+        add('wrong-type', rulePath, path, `${path} has the wrong type`, (parent, key) => {
+          parent[key] = wrong;
+        });
+        return;
+      }
+      if (!_.isPlainObject(value)) return;
+      _.forEach(node.entries, entry => {
+        if (entry.wildcard || !entry.required || !(entry.name in value)) return;
+        const childPath = `${path}/${entry.name}`;
+        add('missing-required', `${rulePath}/${entry.name}`, childPath,
+          `${childPath} is required but missing`, (parent, key) => {
+            delete parent[key];
+          });
+      });
+      if (!node.moreAllowed && !_.some(node.entries, 'wildcard')) {
+        const childPath = `${path}/unexpected`;
+        add('unknown-child', rulePath, childPath, `${childPath} is not allowed`, (parent, key) => {
+          parent[key] = 'unexpected';
+        });
+      }
+      _.forEach(node.entries, entry => {
+        const keys = entry.wildcard ?
+          _.filter(_.keys(value), key => !_.some(node.entries, {wildcard: false, name: key})) :
+          _.filter([entry.name], key => key in value);
+        _.forEach(keys, key => {
+          visit(entry.node, value[key], `${rulePath}/${entry.name}`, `${path}/${key}`);
+        });
+      });
+    };
+    visit(root, data, '', '');
+    return variants;
+  }
+
+  wrongValue(type) {
+    if (!type || /^(any|unknown)$/.test(type)) return;
+    const typeOf = literal => {
+      if (/^(string|number|boolean)$/.test(literal)) return literal;
+      if (/^["']/.test(literal)) return 'string';
+      if (/^(true|false)$/.test(literal)) return 'boolean';
+      if (/^-?[\d.]/.test(literal)) return 'number';
+      return literal;
+    };
+    const types = _.map(type.split('|'), part => typeOf(_.trim(part)));
+    if (_.includes(types, 'any') || _.includes(types, 'unknown')) return;
+    return _.find(WRONG_VALUES, value =>
+      !_.includes(types, _.isPlainObject(value) ? 'object' : typeof value));
+  }
+}
+
+
+exports.FixtureGenerator = FixtureGenerator;
+
+exports.generateFixtures = function(source, options) {
+  return new FixtureGenerator(source, options).generate(options && options.invalid);
+};
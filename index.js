@@ -6,9 +6,28 @@ const escodegen = require('escodegen');
 const estraverse = require('estraverse');
 const clone = require('clone');
 const fs = require('fs');
-const {dirname} = require('path');
-const jsyaml = require('js-yaml');
-const {generateTypes} = require('./type_generator');
+const {dirname, relative, resolve} = require('path');
+const {generateTypes, buildModel} = require('./type_generator');
+const {generateValidators} = require('./validator_generator');
+const {generateJsonSchema} = require('./json_schema_generator');
+const {generateFixtures} = require('./fixture_generator');
+const {generateDocs} = require('./docs_generator');
+const {generateFirestoreRules} = require('./firestore_generator');
+const {simulate} = require('./simulator');
+const {explain} = require('./explainer');
+const {runTests} = require('./tester');
+const {lint} = require('./linter');
+const {optimize, generate: generateOptimized} = require('./optimizer');
+const {diff} = require('./differ');
+const {auditData} = require('./auditor');
+const {Loader, locationOf, formatLocation, cloneSource} = require('./loader');
+const {expandTypes} = require('./type_expander');
+const library = require('./library');
+
+const GENERATORS = {
+  kotlin: './kotlin_generator', swift: './swift_generator', dart: './dart_generator'
+};
+const TARGETS = ['database', 'firestore'];
 
 const BUILTINS = {
   auth: true, now: true, root: true, next: true, newData: true, prev: true, data: true, env: true,
@@ -22,45 +41,99 @@ const NEW_DATA_VAL = {type: 'CallExpression', arguments: [], callee: {
 
 
 class Compiler {
-  constructor(source) {
+  constructor(source, options) {
     this.source = source;
+    this.env = options && options.env || process.env;
+    this.optimizeRules = !options || options.optimize !== false;
+    // When given a list, errors in individual rules are collected there instead of thrown.
+    this.diagnostics = options && options.diagnostics;
   }
 
   transform() {
+    this.sourceMap = {};
+    this.indexSources = new WeakMap();
+    this.schemas = new WeakMap();
+    expandTypes(this.source, {onError: e => this.report(e)});
+    this.rootSchema = this.buildSchema(this.source.root, 'root');
+    this.defineEnv();
     this.defineFunctions();
-    const tree = this.transformBranch(this.source.root, [], {}, 'root', 0);
+    const tree = this.transformBranch(
+      this.source.root, [], {}, 'root', 0, locationOf(this.source, 'root'), this.rootSchema);
     if (tree['.indexChildrenOn']) {
       throw new Error(
         'Indexed attributes must be nested under a wildard key: ' + tree['.indexChildrenOn']);
     }
     const encryptTree = this.extractEncryptDirectives(tree);
-    return {rules: tree, firecrypt: encryptTree};
+    return {rules: tree, firecrypt: encryptTree, sourceMap: this.sourceMap};
+  }
+
+  defineEnv() {
+    this.envValues = {};
+    _.forEach(this.source.env, (declaration, name) => {
+      try {
+        if (!_.isPlainObject(declaration)) {
+          declaration = declaration === null ? {} : {default: declaration};
+        }
+        const values = declaration.values && _.map(_.castArray(declaration.values), String);
+        let value = this.env[name];
+        if (value === undefined && 'default' in declaration) value = String(declaration.default);
+        // Declared even if invalid, so that its uses don't report errors of their own.
+        this.envValues[name] = value;
+        const unknownKeys = _.difference(_.keys(declaration), ['default', 'values']);
+        if (unknownKeys.length) {
+          throw new Error(`Unknown keys in declaration of env.${name}: ${unknownKeys.join(', ')}`);
+        }
+        if (value !== undefined && values && !_.includes(values, value)) {
+          throw new Error(`env.${name} must be one of ${values.join(', ')}, got: ${value}`);
+        }
+      } catch (e) {
+        const location = locationOf(this.source.env, name);
+        e.reason = e.message;
+        if (location) e.message += ` (in ${formatLocation(location)})`;
+        e.location = location;
+        this.report(e);
+      }
+    });
   }
 
   defineFunctions() {
-    this.source.functions = this.source.functions || [];
-    this.source.functions.push(
+    const defined = _.flatMap(this.source.functions, definition => _.map(
+      _.keys(definition), signature => _.trim(signature.replace(/\(.*/, ''))));
+    const functions = (this.source.functions || []).concat(
+      _.filter(library.FUNCTIONS, definition => !_.includes(
+        defined, _.keys(definition)[0].replace(/\(.*/, ''))),
       {'boolean': 'next.isBoolean()'},
       {'string': 'next.isString()'},
       {'number': 'next.isNumber()'},
       {'any': 'true'}
     );
     this.functions = {};
-    _.forEach(this.source.functions, definition => {
+    _.forEach(functions, definition => {
       _.forEach(definition, (body, signature) => {
-        const match = signature.match(/^\s*(\w+)\s*(?:\((.*?)\))?\s*$/);
-        if (!match) throw new Error('Invalid function signature: ' + signature);
-        const name = match[1];
-        const args = _.compact(_.map((match[2] || '').split(','), _.trim));
-        _.forEach(args, arg => {
-          if (arg in BUILTINS) throw new Error(`Argument name "${arg}" shadows builtin variable`);
-        });
-        if (name in this.functions) throw new Error('Duplicate function definition: ' + name);
         try {
-          this.functions[name] = {name, args, ast: esprima.parse(body).body[0].expression};
+          const match = signature.match(/^\s*(\w+)\s*(?:\((.*?)\))?\s*$/);
+          if (!match) throw new Error('Invalid function signature: ' + signature);
+          const name = match[1];
+          const args = _.compact(_.map((match[2] || '').split(','), _.trim));
+          _.forEach(args, arg => {
+            if (arg in BUILTINS) throw new Error(`Argument name "${arg}" shadows builtin variable`);
+          });
+          if (name in this.functions) throw new Error('Duplicate function definition: ' + name);
+          try {
+            this.functions[name] = {
+              name, args, ast: esprima.parse(body).body[0].expression,
+              location: locationOf(definition, signature)
+            };
+          } catch (e) {
+            e.message += ' in ' + body;
+            throw e;
+          }
         } catch (e) {
-          e.message += ' in ' + body;
-          throw e;
+          const location = locationOf(definition, signature);
+          e.reason = e.message;
+          if (location) e.message += ` (in ${formatLocation(location)})`;
+          e.location = location;
+          this.report(e);
         }
       });
     });
@@ -68,37 +141,97 @@ class Compiler {
     while (changed) {
       changed = false;
       _.forEach(this.functions, (fn, name) => {  // eslint-disable-line no-loop-func
-        fn.ast = this.transformAst(fn.ast, fn.args);
+        try {
+          fn.ast = this.transformAst(fn.ast, fn.args);
+        } catch (e) {
+          e.message += ` in function ${name}`;
+          e.reason = e.message;
+          if (fn.location) e.message += ` (in ${formatLocation(fn.location)})`;
+          e.location = fn.location;
+          delete this.functions[name];
+          this.report(e);
+          return;
+        }
+        fn.calls = _.union(fn.calls, this.expanded);
         changed = changed || this.changed;
       });
     }
   }
 
-  transformBranch(yaml, locals, refs, path, level) {
+  // Builds the tree of declared children used to check paths in expressions, before the YAML gets
+  // mutated by the transformation.  Open nodes accept any child without checking.
+  buildSchema(yaml, path, parent) {
+    const schema = {path, parent, children: {}};
+    if (_.isString(yaml)) yaml = {'.value': yaml};
+    if (!_.isPlainObject(yaml)) {
+      schema.open = true;
+      return schema;
+    }
+    const constraint = _.isString(yaml['.value']) ?
+      yaml['.value'].replace(/^\s*((required|indexed|encrypted(\[.*?\])?)(\s+|$))*/, '') : '';
+    schema.open = yaml['.more'] === true || _.trim(constraint) === 'any';
+    _.forEach(yaml, (value, key) => {
+      if (key.charAt(0) === '.') return;
+      const name = key.replace(/\/.*/, '');
+      if (name.charAt(0) === '$') {
+        schema.wildcard = this.buildSchema(value, `${path}[${name}]`, schema);
+      } else {
+        schema.children[name] = this.buildSchema(value, `${path}.${name}`, schema);
+      }
+    });
+    return schema;
+  }
+
+  childSchema(schema, property) {
+    if (!schema) return;
+    const name = property.type === 'Literal' ? String(property.value) : undefined;
+    if (name !== undefined && _.has(schema.children, name)) return schema.children[name];
+    if (schema.open) return;
+    if (schema.wildcard) return schema.wildcard;
+    // A dynamic key could name any of the declared children.
+    if (name === undefined) return;
+    throw new Error(
+      `Unknown child "${name}" of ${schema.path} (use child('${name}') if this is intentional)`);
+  }
+
+  transformBranch(yaml, locals, refs, path, level, location, schema) {
     const json = {};
     if (_.isString(yaml)) yaml = {'.value': yaml};
     const requiredChildren = [], indexedChildren = [];
     let indexedGrandChildren = [];
+    const requiredSources = [], indexedChildrenSources = {}, indexedGrandChildrenSources = {};
+    const expansions = {};
     let localRef;
     let moreAllowed = false, hasWildcard = false;
     if ('.ref' in yaml) {
       // Handle .ref first, since YAML children are not ordered.
       const value = yaml['.ref'];
-      if (value.charAt[0] === '$') throw new Error(`ref name must not start with $: ${value}`);
-      if (value in BUILTINS) throw new Error(`ref shadows builtin variable: ${value}`);
-      if (localRef) throw new Error(`ref already set for this branch: ${value}`);
-      if (refs[value]) throw new Error(`ref already in scope: ${value}`);
+      try {
+        if (value.charAt[0] === '$') throw new Error(`ref name must not start with $: ${value}`);
+        if (value in BUILTINS) throw new Error(`ref shadows builtin variable: ${value}`);
+        if (localRef) throw new Error(`ref already set for this branch: ${value}`);
+        if (refs[value]) throw new Error(`ref already in scope: ${value}`);
+      } catch (e) {
+        this.locateError(e, path, this.locate(yaml, '.ref') || location);
+        throw e;
+      }
       localRef = value;
       refs[value] = level;
       delete yaml['.ref'];
     }
     if ('.read/write' in yaml) {
-      // Split out, so we can expand with data/newData separately.
-      const value = yaml['.read/write'];
-      yaml['.read'] = yaml['.write'] = value;
+      if ('.read' in yaml || '.write' in yaml) {
+        const e = new Error('Cannot specify both .read/write and .read or .write');
+        this.locateError(e, path, locationOf(yaml, '.read/write') || location);
+        this.report(e);
+      } else {
+        // Split out, so we can expand with data/newData separately.
+        yaml['.read'] = yaml['.write'] = yaml['.read/write'];
+      }
       delete yaml['.read/write'];
     }
     _.forEach(yaml, (value, key) => {
+      const sourceLocation = this.locate(yaml, key) || location;
       try {
         switch (key) {
           case '.value':
@@ -106,14 +239,19 @@ class Compiler {
             if (_.trim(value) === 'any') moreAllowed = true;
             /* fall through */
           case '.write':
-            yaml[key] = this.expandExpression(value, locals, refs, level, true);
+            yaml[key] = this.expandExpression(value, locals, refs, level, true, schema);
+            expansions[key] = this.describeExpansion(value, sourceLocation);
             break;
           case '.read':
-            yaml[key] = this.expandExpression(value, locals, refs, level, false);
+            yaml[key] = this.expandExpression(value, locals, refs, level, false, schema);
+            expansions[key] = this.describeExpansion(value, sourceLocation);
             break;
           case '.more':
             moreAllowed = value;
             break;
+          case '.description':
+            // Only used for generated documentation.
+            break;
           default: {
             const encrypt = {};
             key = key.replace(/\/encrypted(\[.*?\])?(?=\/|$)/, (match, pattern) => {
@@ -146,12 +284,15 @@ class Compiler {
                 if (_.includes(keywords, 'required')) {
                   if (firstChar === '$') throw new Error('Wildcard children cannot be required');
                   requiredChildren.push(key);
+                  requiredSources.push({location: sourceLocation, expression: constraint});
                 }
                 if (_.includes(keywords, 'indexed')) {
                   if (firstChar === '$') {
                     indexedChildren.push('.value');
+                    indexedChildrenSources['.value'] = sourceLocation;
                   } else {
                     indexedGrandChildren.push(key);
+                    indexedGrandChildrenSources[key] = sourceLocation;
                   }
                 }
                 _.forEach(keywords, keyword => {
@@ -166,36 +307,42 @@ class Compiler {
             // Transform *after* extracting all keywords, since processing a .value item will strip
             // it of all keywords in the original yaml tree.
             const childPath = firstChar === '$' ? `${path}[${key}]` : `${path}.${key}`;
-            json[key] = this.transformBranch(value, locals, refs, childPath, level + 1);
+            const childSchema = schema && (
+              firstChar === '$' ? schema.wildcard : schema.children[key.replace(/\/.*/, '')]);
+            json[key] = this.transformBranch(
+              value, locals, refs, childPath, level + 1, sourceLocation, childSchema);
             if (!_.isEmpty(encrypt)) json[key]['.encrypt'] = encrypt;
             if (json[key]['.indexChildrenOn']) {
+              const childSources = this.indexSources.get(json[key]);
               if (firstChar === '$') {
                 indexedChildren.push.apply(indexedChildren, json[key]['.indexChildrenOn']);
+                _.assign(indexedChildrenSources, childSources);
               } else {
                 indexedGrandChildren = indexedGrandChildren.concat(
                   _.map(json[key]['.indexChildrenOn'], indexKey => key + '/' + indexKey)
                 );
+                _.forEach(childSources, (childSource, indexKey) => {
+                  indexedGrandChildrenSources[key + '/' + indexKey] = childSource;
+                });
               }
               delete json[key]['.indexChildrenOn'];
             }
           }
         }
       } catch (e) {
-        if (!e.located) {
-          e.message += ` (at ${path})`;
-          e.located = true;
-        }
-        throw e;
+        this.locateError(e, path, sourceLocation);
+        this.report(e);
+        // Leave the broken rule or child out, and carry on with the rest.
+        if (key.charAt(0) === '.') delete yaml[key];
       }
     });
-    if ('.read/write' in yaml) {
-      if ('.read' in yaml || '.write' in yaml) {
-        throw new Error(`Cannot specify both .read/write and .read or .write (at ${path})`);
-      }
-      json['.read'] = json['.write'] = yaml['.read/write'];
-    } else {
-      if ('.read' in yaml) json['.read'] = yaml['.read'];
-      if ('.write' in yaml) json['.write'] = yaml['.write'];
+    if ('.read' in yaml) {
+      json['.read'] = yaml['.read'];
+      this.mapRule(path, '.read', [expansions['.read']]);
+    }
+    if ('.write' in yaml) {
+      json['.write'] = yaml['.write'];
+      this.mapRule(path, '.write', [expansions['.write']]);
     }
     let validation = '';
     if ('.value' in yaml) validation = yaml['.value'];
@@ -206,28 +353,80 @@ class Compiler {
         _.map(requiredChildren, childName => '\'' + childName + '\'').join(', ') +
         '])';
     }
-    if (indexedChildren.length) json['.indexOn'] = indexedChildren;
-    if (indexedGrandChildren.length) json['.indexChildrenOn'] = indexedGrandChildren;
-    if (validation) json['.validate'] = validation;
-    if (!moreAllowed && !hasWildcard) json.$other = {'.validate': false};
+    if (indexedChildren.length) {
+      json['.indexOn'] = indexedChildren;
+      this.mapRule(path, '.indexOn', _.map(indexedChildren, indexKey => ({
+        location: indexedChildrenSources[indexKey], expression: 'indexed ' + indexKey
+      })));
+    }
+    if (indexedGrandChildren.length) {
+      json['.indexChildrenOn'] = indexedGrandChildren;
+      this.indexSources.set(json, indexedGrandChildrenSources);
+    }
+    if (validation) {
+      json['.validate'] = validation;
+      this.mapRule(path, '.validate', _.compact([expansions['.value']]).concat(requiredSources));
+    }
+    if (!moreAllowed && !hasWildcard) {
+      json.$other = {'.validate': false};
+      this.mapRule(
+        `${path}[$other]`, '.validate', [{location, expression: 'no other children allowed'}]);
+    }
+    if (this.optimizeRules) {
+      _.forEach(['.read', '.write', '.validate'], kind => {
+        if (_.isString(json[kind])) json[kind] = this.optimizeExpression(json[kind]);
+      });
+    }
     if (localRef) delete refs[localRef];
     return json;
   }
 
-  expandExpression(expression, locals, refs, level, newData) {
+  describeExpansion(expression, location) {
+    return {location, expression: String(expression), functions: this.expanded};
+  }
+
+  locate(yaml, key) {
+    let location = locationOf(yaml, key);
+    if (!location && (key === '.read' || key === '.write')) {
+      location = locationOf(yaml, '.read/write');
+    }
+    return location;
+  }
+
+  // Throws the error, unless errors are being collected into diagnostics.
+  report(e) {
+    if (!this.diagnostics) throw e;
+    this.diagnostics.push(diagnostic(e));
+  }
+
+  locateError(e, path, location) {
+    if (e.located) return;
+    e.reason = e.reason || e.message;
+    e.message += ` (at ${path}${location ? ' in ' + formatLocation(location) : ''})`;
+    e.located = true;
+    e.path = path;
+    e.location = location;
+  }
+
+  mapRule(path, kind, sources) {
+    const rulesPath =
+      path.replace(/^root/, '').replace(/\[(.*?)\]|\.([^.[]*)/g, '/$1$2') + '/' + kind;
+    this.sourceMap[rulesPath] = {
+      sources: _.map(sources, source => _.assign(
+        _.pick(source.location, 'file', 'line', 'column'), {expression: source.expression})),
+      functions: _.union(..._.map(sources, source => source.functions || []))
+    };
+  }
+
+  expandExpression(expression, locals, refs, level, newData, schema) {
     if (_.isBoolean(expression)) expression = '' + expression;
     if (!_.isString(expression)) throw new Error('Expression expected, got: ' + expression);
     try {
       // console.log('expand', expression);
-      let parsed;
-      try {
-        parsed = esprima.parse(expression);
-      } catch (e) {
-        parsed.message += ' in ' + expression;
-        throw e;
-      }
-      const ast = this.transformAst(parsed, locals, refs, level, newData);
+      const parsed = esprima.parse(expression);
+      const ast = this.transformAst(parsed, locals, refs, level, newData, schema);
       // console.log(JSON.stringify(ast, null, 2));
+      this.checkPatterns(ast);
       return this.generate(ast);
     } catch (e) {
       e.message += ' in ' + expression;
@@ -235,8 +434,9 @@ class Compiler {
     }
   }
 
-  transformAst(ast, locals, refs, level, newData) {
+  transformAst(ast, locals, refs, level, newData, schema) {
     this.changed = false;
+    this.expanded = [];
     return estraverse.replace(ast, {
       enter: (node, parent) => {
         if (!node) return;
@@ -248,11 +448,11 @@ class Compiler {
             case 'auth': case 'now': case 'query':
               return;
             case 'root':
-              node.output = 'snapshot'; break;
+              node.output = 'snapshot'; this.setSchema(node, this.rootSchema); break;
             case 'next': case 'newData':
-              node.name = 'newData'; node.output = 'snapshot'; break;
+              node.name = 'newData'; node.output = 'snapshot'; this.setSchema(node, schema); break;
             case 'prev': case 'data':
-              node.name = 'data'; node.output = 'snapshot'; break;
+              node.name = 'data'; node.output = 'snapshot'; this.setSchema(node, schema); break;
             default: {
               if (node.name === 'oneOf' || node.name === 'is' || node.name === 'env') return;
               if (_.includes(locals, node.name)) return;
@@ -262,13 +462,16 @@ class Compiler {
                 let refNode = {
                   type: 'Identifier', name: newData ? 'newData' : 'data', output: 'snapshot'
                 };
+                let refSchema = schema;
                 _.times(level - ref, () => {
                   refNode = {type: 'CallExpression', arguments: [], output: 'snapshot', callee: {
                     type: 'MemberExpression', computed: false, object: refNode, property: {
                       type: 'Identifier', name: 'parent'
                     }
                   }};
+                  refSchema = refSchema && refSchema.parent;
                 });
+                this.setSchema(refNode, refSchema);
                 return refNode;
               }
               if (node.name in this.functions) {
@@ -291,34 +494,47 @@ class Compiler {
       leave: (node, parent) => {
         if (!node) return;
         const originalNode = node;
+        if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+            !node.callee.computed && node.callee.property.name === 'parent') {
+          const objectSchema = this.schemas.get(node.callee.object);
+          this.setSchema(node, objectSchema && objectSchema.parent);
+        }
         if (node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
             node.object.name === 'env') {
-          let envValue;
+          let name;
           if (node.computed) {
             if (node.property.type === 'Literal') {
-              envValue = process.env[node.property.value];
+              name = node.property.value;
             } else {
               throw new Error('Unable to expand env variable with computed name: ' + node.property);
             }
           } else {
-            envValue = process.env[node.property.name];
+            name = node.property.name;
+          }
+          if (!_.has(this.envValues, name)) {
+            throw new Error(`Undeclared env variable: ${name} (add it to the env: section)`);
+          }
+          const envValue = this.envValues[name];
+          if (envValue === undefined) {
+            throw new Error(`env.${name} is not set and has no default`);
           }
-          envValue = envValue || '';
           node = {type: 'Literal', value: envValue, raw: envValue};
         }
         if (node.type === 'MemberExpression' && node.object.output === 'snapshot' && !(
           parent.type === 'CallExpression' && parent.callee === node
         )) {
           this.changed = true;
+          const key = node.computed ?
+            node.property : {type: 'Literal', value: node.property.name, raw: node.property.name};
+          const childSchema = this.childSchema(this.schemas.get(node.object), key);
           node = {
             type: 'CallExpression', output: 'snapshot', callee: {
               type: 'MemberExpression', object: node.object, computed: false, property: {
                 type: 'Identifier', name: 'child'
               }
-            }, arguments: [node.computed ?
-              node.property : {type: 'Literal', value: node.property.name, raw: node.property.name}
-            ]
+            }, arguments: [key]
           };
+          this.setSchema(node, childSchema);
         }
         if (node.output === 'snapshot' &&
             (parent.type !== 'MemberExpression' ||
@@ -355,6 +571,7 @@ class Compiler {
           } else {
             const fn = this.functions[node.callee.name];
             if (!fn) throw new Error('Call to undefined function: ' + this.generate(node));
+            this.expanded = _.union(this.expanded, [fn.name], fn.calls);
             if (node.arguments.length !== fn.args.length) {
               throw new Error(
                 'Number of arguments in call differs from signature: ' +
@@ -382,6 +599,33 @@ class Compiler {
     });
   }
 
+  // Regular expressions can only be literals, and are checked here since functions get inlined.
+  checkPatterns(ast) {
+    estraverse.traverse(ast, {
+      enter: node => {
+        if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+            node.callee.computed || node.callee.property.name !== 'matches') return;
+        const pattern = node.arguments[0];
+        if (!pattern || !pattern.regex) {
+          throw new Error('matches() expects a regular expression literal: ' + this.generate(node));
+        }
+        library.checkPattern(pattern.regex);
+      }
+    });
+  }
+
+  // Keeps the expression as written unless optimizing actually changed it.
+  optimizeExpression(expression) {
+    const original = this.generate(esprima.parse(expression));
+    const optimized = optimize(esprima.parse(expression));
+    return this.generate(optimized) === original ? expression : generateOptimized(optimized);
+  }
+
+  // Schemas are kept out of the nodes themselves so they don't get copied when inlining functions.
+  setSchema(node, schema) {
+    if (schema) this.schemas.set(node, schema);
+  }
+
   generate(ast) {
     return escodegen.generate(ast, {format: {semicolons: false, newline: ' '}});
   }
@@ -399,27 +643,269 @@ class Compiler {
 }
 
 
-exports.transform = function(source) {
-  return new Compiler(source).transform();
+// Converts an error into a diagnostic, without the location that was appended to its message.
+function diagnostic(e) {
+  const location = e.location ||
+    e.mark && {file: e.file || e.mark.name, line: e.mark.line + 1, column: e.mark.column + 1};
+  return _.assign(
+    {severity: 'error', message: e.reason || e.message}, e.path && {path: e.path},
+    location && _.pick(location, 'file', 'line', 'column'));
+}
+
+// Adds an error to the diagnostics, unless an earlier pass over the source already reported it.
+function addDiagnostic(diagnostics, e) {
+  const added = diagnostic(e);
+  if (!_.some(diagnostics, other => _.isEqual(other, added))) diagnostics.push(added);
+}
+
+// Loads a built-in generator by name, or a plugin module by path.  Either way, it must export a
+// generate(model, options) function that returns the contents of the output file.
+function loadGenerator(name) {
+  const generator = require(GENERATORS[name] || resolve(name));
+  if (!_.isFunction(generator.generate)) {
+    throw new Error(`Generator ${name} doesn't export a generate(model, options) function`);
+  }
+  return generator;
+}
+
+// Compiles for the Realtime Database first, so that the source gets checked the same way whatever
+// the target.  If options.diagnostics collects any errors from that, no Firestore rules are
+// generated.
+function transformFirestore(source, options) {
+  const compiler = new Compiler(cloneSource(source), options);
+  compiler.transform();
+  if (options.diagnostics && options.diagnostics.length) return null;
+  return generateFirestoreRules(source, {env: compiler.envValues});
+}
+
+// Writes the types, validators, JSON Schema, documentation and models generated from the source.
+function writeGeneratedFiles(source, rules, options) {
+  const {typesOutput, validatorsOutput, jsonSchemaOutput, docsOutput, generators} = options || {};
+  if (typesOutput) {
+    fs.mkdirSync(dirname(typesOutput), {recursive: true});
+    fs.writeFileSync(typesOutput, generateTypes(source));
+  }
+  if (validatorsOutput) {
+    fs.mkdirSync(dirname(validatorsOutput), {recursive: true});
+    fs.writeFileSync(validatorsOutput, generateValidators(
+      source, {typescript: /\.ts$/.test(validatorsOutput)}));
+  }
+  if (jsonSchemaOutput) {
+    fs.mkdirSync(dirname(jsonSchemaOutput), {recursive: true});
+    fs.writeFileSync(jsonSchemaOutput, generateJsonSchema(source));
+  }
+  if (docsOutput) {
+    fs.mkdirSync(dirname(docsOutput), {recursive: true});
+    fs.writeFileSync(docsOutput, generateDocs(
+      source, rules, {format: /\.html?$/.test(docsOutput) ? 'html' : 'markdown'}));
+  }
+  _.forEach(generators, (generatorOutput, name) => {
+    const generator = loadGenerator(name);
+    fs.mkdirSync(dirname(generatorOutput), {recursive: true});
+    fs.writeFileSync(
+      generatorOutput, generator.generate(buildModel(source), {output: generatorOutput}));
+  });
+}
+
+// Returns the size of every rule in the tree, largest first.
+function measureRules(rules, path) {
+  const sizes = _.flatMap(rules, (value, key) => {
+    if (key.charAt(0) !== '.') return measureRules(value, `${path}/${key}`);
+    return [{path: `${path}/${key}`, bytes: Buffer.byteLength(JSON.stringify(value))}];
+  });
+  return _.orderBy(sizes, 'bytes', 'desc');
+}
+
+exports.transform = function(source, options) {
+  return new Compiler(source, options).transform();
+};
+
+exports.transformFirestore = transformFirestore;
+
+// Compiles YAML text or an already loaded source without modifying it, and returns the rules along
+// with their types.  Errors and lint findings are collected into diagnostics instead of thrown; if
+// there are any errors, rules and firecrypt are null.  For the firestore target, rules is the text
+// of a firestore.rules file, and there is no source map or linting.
+exports.compile = function(input, options) {
+  options = options || {};
+  const target = options.target || 'database';
+  if (!_.includes(TARGETS, target)) throw new Error('Unknown compilation target: ' + target);
+  const diagnostics = [];
+  const result = {rules: null, firecrypt: null, sourceMap: null, types: null, diagnostics};
+  let source;
+  try {
+    source = _.isString(input) ? new Loader().loadText(input, options.filename) : input;
+  } catch (e) {
+    diagnostics.push(diagnostic(e));
+    return result;
+  }
+  if (target === 'firestore') {
+    try {
+      result.rules = transformFirestore(source, {env: options.env, diagnostics});
+    } catch (e) {
+      addDiagnostic(diagnostics, e);
+    }
+  } else {
+    try {
+      const compiled = exports.transform(
+        cloneSource(source), {env: options.env, optimize: options.optimize, diagnostics});
+      result.sourceMap = compiled.sourceMap;
+      if (!diagnostics.length) {
+        result.rules = compiled.rules;
+        result.firecrypt = compiled.firecrypt || null;
+      }
+    } catch (e) {
+      diagnostics.push(diagnostic(e));
+    }
+  }
+  try {
+    result.types = generateTypes(cloneSource(source));
+  } catch (e) {
+    addDiagnostic(diagnostics, e);
+  }
+  if (result.sourceMap && options.lint !== false) {
+    const file = options.filename ? resolve(options.filename) : '<input>';
+    try {
+      diagnostics.push(...lint(cloneSource(source), result.sourceMap, {
+        rules: options.lintRules, texts: _.isString(input) ? {[file]: input} : {}
+      }));
+    } catch (e) {
+      addDiagnostic(diagnostics, e);
+    }
+  }
+  return result;
 };
 
 exports.generateTypes = generateTypes;
 
-exports.transformFile = function(input, output, typesOutput) {
-  if (!output) output = input.replace(/\.ya?ml$/, '') + '.json';
-  const rawSource = fs.readFileSync(input, 'utf8');
-  const source = jsyaml.load(rawSource, {filename: input, schema: jsyaml.DEFAULT_SAFE_SCHEMA});
-  const sourceForTypes = typesOutput ? clone(source) : null;
-  const rules = exports.transform(source);
+exports.buildModel = buildModel;
+
+// Only generates fixtures for rules that compile, and checks the data against them afterwards,
+// since conditions the generator doesn't understand aren't guaranteed to hold.
+exports.generateFixtures = function(source, options) {
+  options = options || {};
+  const rules = exports.transform(cloneSource(source), {env: options.env}).rules;
+  const result = generateFixtures(source, options);
+  const audit = auditData(rules, result.data, {now: options.now, limit: 1});
+  result.warnings = _.map(audit.violations, entry =>
+    `${entry.rulePath} .validate: ${entry.expression} fails for ${entry.count} generated ` +
+    `values, like ${entry.paths[0]}`
+  ).concat(_.map(audit.skipped, entry =>
+    `${entry.rulePath} .validate: ${entry.expression} wasn't checked, since it refers to data ` +
+    'outside the node'
+  ));
+  return result;
+};
+
+exports.generateDocs = generateDocs;
+
+exports.simulate = simulate;
+
+exports.explain = explain;
+
+exports.loadSource = function(input, loader) {
+  return (loader || new Loader()).load(input);
+};
+
+exports.loadRules = function(input, options) {
+  if (/\.json$/.test(input)) return JSON.parse(fs.readFileSync(input, 'utf8'));
+  return {rules: exports.transform(exports.loadSource(input), {env: options && options.env}).rules};
+};
+
+exports.testFile = function(input, testFiles, options) {
+  const source = exports.loadSource(input);
+  const pristineSource = clone(source);
+  const rules = exports.transform(source, {env: options && options.env}).rules;
+  let cases = source.tests || [];
+  const defaultTestFile = input.replace(/\.ya?ml$/, '') + '.test.yaml';
+  if (!testFiles || !testFiles.length) {
+    testFiles = fs.existsSync(defaultTestFile) ? [defaultTestFile] : [];
+  }
+  _.forEach(testFiles, testFile => {
+    const tests = exports.loadSource(testFile);
+    cases = cases.concat(_.isArray(tests) ? tests : tests.tests || []);
+  });
+  if (!cases.length) throw new Error(`No tests found for ${input}`);
+  return runTests(pristineSource, rules, cases);
+};
+
+exports.lintFile = function(input, options) {
+  options = options || {};
+  // Compile a separate copy, since the compiler modifies its source.
+  const compiled = exports.transform(exports.loadSource(input), {env: options.env});
+  return lint(exports.loadSource(input), compiled.sourceMap, {rules: options.rules});
+};
+
+exports.explainFile = function(input, path, options) {
+  const compiled = /\.json$/.test(input) ?
+    {rules: JSON.parse(fs.readFileSync(input, 'utf8'))} :
+    exports.transform(exports.loadSource(input), {env: options && options.env});
+  return explain(compiled, path, options);
+};
+
+exports.diffFiles = function(oldInput, newInput, options) {
+  const compile = input => /\.json$/.test(input) ?
+    JSON.parse(fs.readFileSync(input, 'utf8')) :
+    exports.transform(exports.loadSource(input), {env: options && options.env});
+  const newCompiled = compile(newInput);
+  return diff(compile(oldInput).rules, newCompiled.rules, {sourceMap: newCompiled.sourceMap});
+};
+
+exports.transformFile = function(input, output, options) {
+  if (_.isString(options)) options = {typesOutput: options};
+  const {
+    typesOutput, mapOutput, validatorsOutput, jsonSchemaOutput, docsOutput, generators, env, loader,
+    maxSize
+  } = options || {};
+  const target = options && options.target || 'database';
+  if (!_.includes(TARGETS, target)) throw new Error('Unknown compilation target: ' + target);
+  if (target === 'firestore' && (mapOutput || docsOutput)) {
+    throw new Error('Source maps and documentation are only generated for the database target');
+  }
+  if (!output) {
+    output = input.replace(/\.ya?ml$/, '') + (target === 'firestore' ? '.rules' : '.json');
+  }
+  const source = exports.loadSource(input, loader);
+  const sourceForTypes =
+    typesOutput || validatorsOutput || jsonSchemaOutput || docsOutput || !_.isEmpty(generators) ?
+      cloneSource(source) : null;
+  if (target === 'firestore') {
+    const text = transformFirestore(source, {env});
+    if (maxSize && Buffer.byteLength(text) > maxSize) {
+      throw new Error(
+        `Generated rules are ${Buffer.byteLength(text)} bytes, over the limit of ${maxSize}`);
+    }
+    fs.mkdirSync(dirname(output), {recursive: true});
+    fs.writeFileSync(output, text);
+    writeGeneratedFiles(sourceForTypes, null, options);
+    return;
+  }
+  const rules = exports.transform(source, {env, optimize: options && options.optimize});
   // console.log(JSON.stringify(rules, null, 2));
+  const json = JSON.stringify({rules: rules.rules}, null, 2);
+  if (maxSize && Buffer.byteLength(json) > maxSize) {
+    throw new Error(
+      `Generated rules are ${Buffer.byteLength(json)} bytes, over the limit of ${maxSize}. ` +
+      'Largest rules:\n' + _.map(
+        _.take(measureRules(rules.rules, ''), 10), ({path, bytes}) => `  ${path}: ${bytes} bytes`
+      ).join('\n'));
+  }
   fs.mkdirSync(dirname(output), {recursive: true});
-  fs.writeFileSync(output, JSON.stringify({rules: rules.rules}, null, 2));
+  fs.writeFileSync(output, json);
   if (rules.firecrypt) {
     const cryptOutput = output.replace(/\.json$/, '_firecrypt.json');
     fs.writeFileSync(cryptOutput, JSON.stringify({rules: rules.firecrypt}, null, 2));
   }
-  if (typesOutput) {
-    fs.mkdirSync(dirname(typesOutput), {recursive: true});
-    fs.writeFileSync(typesOutput, generateTypes(sourceForTypes));
+  writeGeneratedFiles(sourceForTypes, rules, options);
+  if (mapOutput) {
+    const mappings = _.mapValues(rules.sourceMap, mapping => _.assign({}, mapping, {
+      sources: _.map(mapping.sources, mappingSource => mappingSource.file ?
+        _.assign({}, mappingSource, {file: relative(dirname(mapOutput), mappingSource.file)}) :
+        mappingSource)
+    }));
+    fs.mkdirSync(dirname(mapOutput), {recursive: true});
+    fs.writeFileSync(
+      mapOutput, JSON.stringify({version: 1, file: relative(dirname(mapOutput), output), mappings},
+        null, 2));
   }
 };
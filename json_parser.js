@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const {StringDecoder} = require('string_decoder');
+
+const ESCAPES = {'"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t'};
+const LITERALS = {true: true, false: false, null: null};
+const WHITESPACE = /\s/;
+const NUMBER_CHARS = /[-+0-9.eE]/;
+
+
+// A streaming JSON parser that reports the structure of the document to a handler as it goes,
+// rather than building it in memory.  The handler gets open(key) and close() calls for every
+// object and array, and value(key, value) calls for every other value.  Array elements are keyed by
+// their index, and the top-level value has an undefined key.
+class JsonParser {
+  constructor(handler) {
+    this.handler = handler;
+    this.stack = [];
+    this.state = 'value';
+    this.token = '';
+    this.line = 1;
+    this.column = 0;
+  }
+
+  write(text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text.charAt(i);
+      if (char === '\n') {
+        this.line += 1;
+        this.column = 0;
+      } else {
+        this.column += 1;
+      }
+      if (this.state === 'string' && char !== '"' && char !== '\\' && char >= ' ') {
+        // Copy runs of plain characters in one go, since strings make up most of the input.
+        let end = i + 1;
+        while (end < text.length) {
+          const next = text.charAt(end);
+          if (next === '"' || next === '\\' || next < ' ') break;
+          end++;
+        }
+        this.token += text.slice(i, end);
+        this.column += end - i - 1;
+        i = end - 1;
+        continue;
+      }
+      this.consume(char);
+    }
+  }
+
+  end() {
+    if (this.state === 'number' || this.state === 'literal') this.consume(' ');
+    if (this.state !== 'done') throw this.error('Unexpected end of JSON input');
+  }
+
+  error(message) {
+    return new Error(`${message} at line ${this.line}, column ${this.column}`);
+  }
+
+  key() {
+    const container = this.stack[this.stack.length - 1];
+    if (!container) return;
+    return container.type === 'array' ? String(container.index++) : container.key;
+  }
+
+  emit(value) {
+    this.handler.value(this.key(), value);
+    this.afterValue();
+  }
+
+  afterValue() {
+    this.state = this.stack.length ? 'comma' : 'done';
+  }
+
+  open(type) {
+    this.handler.open(this.key());
+    this.stack.push({type, index: 0});
+    this.state = type === 'object' ? 'firstKey' : 'firstValue';
+  }
+
+  close(char) {
+    const container = this.stack.pop();
+    if (!container || char !== (container.type === 'object' ? '}' : ']')) {
+      throw this.error(`Unexpected ${char}`);
+    }
+    this.handler.close();
+    this.afterValue();
+  }
+
+  consume(char) {
+    switch (this.state) {
+      case 'string': return this.consumeString(char);
+      case 'escape': return this.consumeEscape(char);
+      case 'unicode':
+        this.unicode += char;
+        if (this.unicode.length === 4) {
+          if (!/^[0-9a-fA-F]{4}$/.test(this.unicode)) throw this.error('Invalid unicode escape');
+          this.token += String.fromCharCode(parseInt(this.unicode, 16));
+          this.state = 'string';
+        }
+        return;
+      case 'number': case 'literal':
+        if (this.state === 'number' ? NUMBER_CHARS.test(char) : /[a-z]/.test(char)) {
+          this.token += char;
+          return;
+        }
+        this.emitToken();
+        return this.consume(char);
+    }
+    if (WHITESPACE.test(char)) return;
+    switch (this.state) {
+      case 'firstValue':
+        if (char === ']') return this.close(char);
+        /* fall through */
+      case 'value':
+        return this.startValue(char);
+      case 'firstKey':
+        if (char === '}') return this.close(char);
+        /* fall through */
+      case 'key':
+        if (char !== '"') throw this.error(`Expected a key but got ${char}`);
+        this.startString(true);
+        return;
+      case 'colon':
+        if (char !== ':') throw this.error(`Expected : but got ${char}`);
+        this.state = 'value';
+        return;
+      case 'comma':
+        if (char === ',') {
+          this.state = this.stack[this.stack.length - 1].type === 'object' ? 'key' : 'value';
+          return;
+        }
+        return this.close(char);
+      case 'done':
+        throw this.error(`Unexpected ${char} after the end of the JSON input`);
+    }
+  }
+
+  startValue(char) {
+    if (char === '{') return this.open('object');
+    if (char === '[') return this.open('array');
+    if (char === '"') return this.startString(false);
+    this.token = char;
+    if (char === '-' || char >= '0' && char <= '9') {
+      this.state = 'number';
+    } else if (char >= 'a' && char <= 'z') {
+      this.state = 'literal';
+    } else {
+      throw this.error(`Unexpected ${char}`);
+    }
+  }
+
+  startString(isKey) {
+    this.token = '';
+    this.isKey = isKey;
+    this.state = 'string';
+  }
+
+  consumeString(char) {
+    if (char === '\\') {
+      this.state = 'escape';
+    } else if (char === '"') {
+      if (this.isKey) {
+        this.stack[this.stack.length - 1].key = this.token;
+        this.state = 'colon';
+      } else {
+        this.emit(this.token);
+      }
+    } else if (char < ' ') {
+      throw this.error('Unescaped control character in string');
+    } else {
+      this.token += char;
+    }
+  }
+
+  consumeEscape(char) {
+    if (char === 'u') {
+      this.unicode = '';
+      this.state = 'unicode';
+      return;
+    }
+    if (!(char in ESCAPES)) throw this.error(`Invalid escape \\${char}`);
+    this.token += ESCAPES[char];
+    this.state = 'string';
+  }
+
+  emitToken() {
+    if (this.state === 'literal') {
+      if (!(this.token in LITERALS)) throw this.error(`Unexpected ${this.token}`);
+      return this.emit(LITERALS[this.token]);
+    }
+    const value = Number(this.token);
+    if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(this.token) || !isFinite(value)) {
+      throw this.error(`Invalid number ${this.token}`);
+    }
+    this.emit(value);
+  }
+}
+
+
+exports.JsonParser = JsonParser;
+
+// Parses the given file in chunks, so that it never needs to be held in memory all at once.
+exports.parseFile = function(file, handler) {
+  const parser = new JsonParser(handler);
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(1 << 20);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null))) {
+      parser.write(decoder.write(buffer.subarray(0, bytesRead)));
+    }
+    parser.write(decoder.end());
+    parser.end();
+  } catch (e) {
+    e.message += ` (in ${file})`;
+    throw e;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Reports a value that's already in memory to a handler, the same way the parser would.
+exports.walkValue = function walkValue(value, handler, key) {
+  if (value !== null && typeof value === 'object') {
+    handler.open(key);
+    for (const childKey of Object.keys(value)) walkValue(value[childKey], handler, childKey);
+    handler.close();
+  } else {
+    handler.value(key, value);
+  }
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const escodegen = require('escodegen');
+const {TypeGenerator} = require('./type_generator');
+
+const TYPES = {string: {type: 'string'}, number: {type: 'number'}, boolean: {type: 'boolean'}};
+const BOUNDS = {'>': 'exclusiveMinimum', '>=': 'minimum', '<': 'exclusiveMaximum', '<=': 'maximum'};
+const FLIPPED = {'>': '<', '>=': '<=', '<': '>', '<=': '>='};
+
+function generate(ast) {
+  return escodegen.generate(ast, {format: {semicolons: false, newline: ' ', indent: {style: ''}}});
+}
+
+function flatten(node, operator) {
+  if (node.type !== 'LogicalExpression' || node.operator !== operator) return [node];
+  return flatten(node.left, operator).concat(flatten(node.right, operator));
+}
+
+function literalValue(node) {
+  const negative = node.type === 'UnaryExpression' && node.operator === '-';
+  if (negative && _.isNumber(node.argument.value)) return -node.argument.value;
+  return node.type === 'Literal' && !node.regex ? node.value : undefined;
+}
+
+function isNext(node) {
+  return node.type === 'Identifier' && node.name === 'next';
+}
+
+function combine(schemas) {
+  if (!schemas.length) return {};
+  return schemas.length === 1 ? schemas[0] : {allOf: schemas};
+}
+
+
+class JsonSchemaGenerator {
+  constructor(source) {
+    this.source = source;
+    this.types = new TypeGenerator(source);
+    this.defs = {};
+  }
+
+  generate() {
+    const root = this.schemaNode(this.types.toNode(this.source.root || {})).schema;
+    const schema = _.assign({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $comment: 'Generated by fireplan. Do not edit directly.',
+      title: 'FirebaseData'
+    }, root);
+    if (!_.isEmpty(this.defs)) schema.$defs = this.defs;
+    return JSON.stringify(schema, null, 2) + '\n';
+  }
+
+  schemaNode(node, wildcard) {
+    const keyPatterns = [];
+    const schema = this.expressionSchema(node.expression, wildcard, keyPatterns);
+    if (node.kind !== 'object') return {schema, keyPatterns};
+
+    const object = {type: 'object', properties: {}};
+    const required = [];
+    let wildcardEntry;
+    _.forEach(node.entries, entry => {
+      if (entry.wildcard) {
+        wildcardEntry = entry;
+        return;
+      }
+      object.properties[entry.name] = this.schemaNode(entry.node).schema;
+      if (entry.required) required.push(entry.name);
+    });
+    if (_.isEmpty(object.properties)) delete object.properties;
+    if (required.length) object.required = required;
+    if (wildcardEntry) {
+      const child = this.schemaNode(wildcardEntry.node, wildcardEntry.name);
+      if (child.keyPatterns.length) {
+        const pattern = child.keyPatterns.length === 1 ? child.keyPatterns[0] :
+          _.map(child.keyPatterns, keyPattern => `(?=${keyPattern})`).join('');
+        object.patternProperties = {[pattern]: child.schema};
+        object.additionalProperties = false;
+      } else {
+        object.additionalProperties = child.schema;
+      }
+    } else if (!node.moreAllowed) {
+      object.additionalProperties = false;
+    }
+    return {schema: _.isEmpty(schema) ? object : _.assign(object, {allOf: [schema]}), keyPatterns};
+  }
+
+  // Converts the conditions of a .value expression that can be expressed in JSON Schema, and
+  // describes the rest.  Conditions on the wildcard's key are collected into keyPatterns instead.
+  expressionSchema(expression, wildcard, keyPatterns) {
+    if (!expression) return {};
+    let ast;
+    try {
+      ast = esprima.parse(expression).body[0].expression;
+    } catch {
+      return {description: expression};
+    }
+    const schemas = [];
+    const unknown = [];
+    _.forEach(flatten(ast, '&&'), term => {
+      const keyPattern = wildcard && this.keyPattern(term, wildcard);
+      if (keyPattern) {
+        keyPatterns.push(keyPattern);
+        return;
+      }
+      const schema = this.termSchema(term);
+      if (schema) schemas.push(schema); else unknown.push(generate(term));
+    });
+    const schema = combine(schemas);
+    if (unknown.length) {
+      schema.description = _.compact([schema.description].concat(unknown)).join(' && ');
+    }
+    return schema;
+  }
+
+  keyPattern(term, wildcard) {
+    const callee = term.type === 'CallExpression' && term.callee;
+    if (!callee || callee.type !== 'MemberExpression' || callee.computed) return;
+    if (callee.object.type !== 'Identifier' || callee.object.name !== wildcard) return;
+    if (callee.property.name !== 'matches' || term.arguments.length !== 1) return;
+    const regex = term.arguments[0].regex;
+    if (regex && !regex.flags) return regex.pattern;
+  }
+
+  // Returns the schema for a single condition, or undefined if any part of it can't be expressed.
+  termSchema(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return this.librarySchema(node.name, []) || this.reference(node.name);
+      case 'CallExpression':
+        if (node.callee.type !== 'Identifier') return;
+        if (this.librarySchema(node.callee.name, node.arguments)) {
+          return this.librarySchema(node.callee.name, node.arguments);
+        }
+        if (node.callee.name === 'oneOf' || node.callee.name === 'is') {
+          if (!_.every(node.arguments, {type: 'Literal'}) || node.arguments[0].regex) return;
+          const values = _.map(node.arguments, 'value');
+          if (node.callee.name === 'oneOf') return {enum: values};
+          if (values.length === 1) return {const: values[0]};
+          return;
+        }
+        if (!node.arguments.length) return this.reference(node.callee.name);
+        return;
+      case 'BinaryExpression': {
+        // Only bounds on the value itself, like next > 0.
+        let operator = node.operator, bound;
+        if (isNext(node.left)) {
+          bound = literalValue(node.right);
+        } else if (isNext(node.right)) {
+          bound = literalValue(node.left);
+          operator = FLIPPED[operator];
+        }
+        if (!_.isNumber(bound) || !BOUNDS[operator]) return;
+        return {type: 'number', [BOUNDS[operator]]: bound};
+      }
+      case 'LogicalExpression': {
+        const schemas = _.map(flatten(node, node.operator), term => this.termSchema(term));
+        if (!_.every(schemas)) return;
+        return node.operator === '&&' ? combine(schemas) : {anyOf: schemas};
+      }
+    }
+  }
+
+  librarySchema(name, args) {
+    if (this.types.functionDefinitions[name]) return;
+    const values = _.map(args, literalValue);
+    switch (name) {
+      case 'integer':
+        return {type: 'integer'};
+      case 'timestamp': case 'serverTimestamp':
+        return {type: 'number', description: name};
+      case 'stringLength':
+        if (_.every(values, _.isNumber)) {
+          return {type: 'string', minLength: values[0], maxLength: values[1]};
+        }
+        return;
+      case 'range':
+        if (_.every(values, _.isNumber)) {
+          return {type: 'number', minimum: values[0], maximum: values[1]};
+        }
+        return;
+      case 'matches':
+        if (args[0] && args[0].regex && !args[0].regex.flags) {
+          return {type: 'string', pattern: args[0].regex.pattern};
+        }
+        return;
+      case 'nullable': {
+        const schema = args.length === 1 && this.termSchema(args[0]);
+        if (schema) return {anyOf: [schema, {type: 'null'}]};
+      }
+    }
+  }
+
+  reference(name) {
+    const definition = this.types.functionDefinitions[name];
+    if (definition) {
+      if (definition.args.length) return;
+      if (!(name in this.defs)) {
+        this.defs[name] = {};
+        this.defs[name] = this.expressionSchema(String(definition.body));
+      }
+      return {$ref: `#/$defs/${name}`};
+    }
+    if (name === 'any') return {};
+    return TYPES[name] && _.clone(TYPES[name]);
+  }
+}
+
+
+exports.JsonSchemaGenerator = JsonSchemaGenerator;
+
+exports.generateJsonSchema = function(source) {
+  return new JsonSchemaGenerator(source).generate();
+};
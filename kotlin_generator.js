@@ -0,0 +1,106 @@
+'use strict';
+
+const _ = require('lodash');
+
+const PRIMITIVES = {string: 'String', number: 'Double', boolean: 'Boolean'};
+const DEFAULTS = {String: '""', Double: '0.0', Boolean: 'false'};
+const KEYWORDS = [
+  'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface',
+  'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias',
+  'typeof', 'val', 'var', 'when', 'while'
+];
+
+
+function identifier(name) {
+  if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+    return _.includes(KEYWORDS, name) ? `\`${name}\`` : name;
+  }
+  const camel = _.camelCase(name) || 'value';
+  return /^[a-zA-Z_]/.test(camel) ? camel : `_${camel}`;
+}
+
+
+// Generates Kotlin data classes for the Firebase Android SDK, which constructs instances before
+// setting their properties, so every property is a var with a default value.
+class KotlinGenerator {
+  constructor(model) {
+    this.model = model;
+    this.annotations = false;
+  }
+
+  generate() {
+    const declarations = _.map(this.model.types, node =>
+      node.kind === 'object' ? this.dataClass(node) : this.enumClass(node));
+    if (!_.includes(this.model.types, this.model.root)) {
+      declarations.push(`typealias FirebaseData = ${this.type(this.model.root).type}`);
+    }
+    return [
+      '// Generated by fireplan. Do not edit directly.',
+      '',
+      ...this.annotations ? ['import com.google.firebase.database.PropertyName', ''] : [],
+      declarations.join('\n\n'),
+      ''
+    ].join('\n');
+  }
+
+  dataClass(node) {
+    const lines = [];
+    if (node.moreAllowed) lines.push('/** Also accepts undeclared children. */');
+    lines.push(`data class ${node.name}(`);
+    _.forEach(node.entries, entry => {
+      const {type, value} = this.type(entry.node);
+      const optional = !entry.required || entry.node.nullable || type === 'Any?';
+      const name = identifier(entry.name);
+      let annotation = '';
+      if (name !== entry.name && name !== `\`${entry.name}\``) {
+        this.annotations = true;
+        const key = JSON.stringify(entry.name);
+        annotation = `@get:PropertyName(${key}) @set:PropertyName(${key}) `;
+      }
+      const declaration = optional ?
+        `${_.trimEnd(type, '?')}? = null` : `${type} = ${value}`;
+      lines.push(`  ${annotation}var ${name}: ${declaration},`);
+    });
+    lines.push(')');
+    return lines.join('\n');
+  }
+
+  // Firebase maps enum constants to values by name, so constants for values that aren't valid names
+  // get the value attached with @PropertyName.
+  enumClass(node) {
+    const values = {};
+    const constants = _.map(node.literals, literal => {
+      const name = identifier(literal);
+      if (_.has(values, name)) {
+        throw new Error(
+          `Values ${JSON.stringify(values[name])} and ${JSON.stringify(literal)} of ${node.name} ` +
+          `both map to the Kotlin enum constant ${name}`);
+      }
+      values[name] = literal;
+      if (_.trim(name, '`') === literal) return `  ${name},`;
+      this.annotations = true;
+      return `  @PropertyName(${JSON.stringify(literal)}) ${name},`;
+    });
+    return [`enum class ${node.name} {`, ...constants, '}'].join('\n');
+  }
+
+  // Returns the Kotlin type of a node and a default value for it.
+  type(node) {
+    if (node.kind === 'object') {
+      const wildcardEntry = _.find(node.entries, 'wildcard');
+      if (!wildcardEntry) return {type: node.name, value: `${node.name}()`};
+      const item = node.moreAllowed ? 'Any?' : this.type(wildcardEntry.node).type;
+      return {type: `Map<String, ${item}>`, value: 'emptyMap()'};
+    }
+    if (node.name) {
+      return {type: node.name, value: `${node.name}.${identifier(node.literals[0])}`};
+    }
+    const type = PRIMITIVES[node.primitive];
+    return type ? {type, value: DEFAULTS[type]} : {type: 'Any?', value: 'null'};
+  }
+}
+
+
+exports.generate = function(model) {
+  return new KotlinGenerator(model).generate();
+};
@@ -0,0 +1,303 @@
+'use strict';
+
+const _ = require('lodash');
+const {fileURLToPath, pathToFileURL} = require('url');
+const {compile} = require('./index');
+const {Loader, keyLocationOf, cloneSource} = require('./loader');
+const {expandTypes} = require('./type_expander');
+const library = require('./library');
+
+const GLOBALS = ['auth', 'now', 'next', 'prev', 'root', 'query'];
+const BUILTIN_FUNCTIONS = ['string', 'number', 'boolean', 'any', 'oneOf', 'is'];
+const SNAPSHOTS = ['next', 'prev', 'newData', 'data', 'root'];
+const COMPLETION_KINDS = {field: 5, variable: 6, function: 3, keyword: 14};
+const ERRORS = {parse: -32700, methodNotFound: -32601, internal: -32603};
+const MESSAGE_TYPES = {error: 1};
+
+
+// Returns the chain of YAML keys leading to the given line, based on indentation alone so that it
+// works even while the document is being edited and doesn't parse.
+function keyPath(lines, line) {
+  const path = [];
+  let indent = Infinity;
+  for (let i = line; i >= 0 && indent > 0; i--) {
+    const match = (lines[i] || '').match(/^(\s*)(?:- )?(['"]?)([^\s#'":][^'":]*?)\2\s*:(\s|$)/);
+    if (!match || match[1].length >= indent) continue;
+    indent = match[1].length;
+    path.unshift(match[3]);
+  }
+  return path;
+}
+
+function findChild(yaml, key) {
+  if (!_.isPlainObject(yaml)) return;
+  const name = _.find(_.keys(yaml), candidate => candidate.replace(/\/.*/, '') === key);
+  return name === undefined ? undefined : yaml[name];
+}
+
+function wordAt(text, character) {
+  const before = text.slice(0, character).match(/[\w$]*$/)[0];
+  const after = text.slice(character).match(/^[\w$]*/)[0];
+  return before + after;
+}
+
+function toRange(location, lines) {
+  const line = location && location.line ? location.line - 1 : 0;
+  const character = location && location.column ? location.column - 1 : 0;
+  return {
+    start: {line, character},
+    end: {line, character: Math.max(character, (lines[line] || '').length)}
+  };
+}
+
+
+// A language server for rules files, speaking the Language Server Protocol over a pair of streams.
+class LanguageServer {
+  constructor(input, output) {
+    this.input = input;
+    this.output = output;
+    this.documents = {};
+    this.buffer = Buffer.alloc(0);
+    this.shutdown = false;
+  }
+
+  start() {
+    this.input.on('data', chunk => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readMessages();
+    });
+    this.input.on('end', () => process.exit(this.shutdown ? 0 : 1));
+  }
+
+  readMessages() {
+    while (true) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const header = this.buffer.slice(0, headerEnd).toString('ascii');
+      const match = header.match(/Content-Length: *(\d+)/i);
+      const length = match ? Number(match[1]) : 0;
+      if (this.buffer.length < headerEnd + 4 + length) return;
+      const body = this.buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf8');
+      this.buffer = this.buffer.slice(headerEnd + 4 + length);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (e) {
+        this.send({id: null, error: {code: ERRORS.parse, message: e.message}});
+        continue;
+      }
+      this.receive(message);
+    }
+  }
+
+  send(message) {
+    const body = JSON.stringify(_.assign({jsonrpc: '2.0'}, message));
+    this.output.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+  }
+
+  receive(message) {
+    const handler = this.handlers()[message.method];
+    if (message.id === undefined) {
+      // Notifications have no response to carry an error, so it's logged to the client instead.
+      try {
+        if (handler) handler(message.params || {});
+      } catch (e) {
+        this.send({method: 'window/logMessage', params: {
+          type: MESSAGE_TYPES.error, message: `Error handling ${message.method}: ${e.message}`
+        }});
+      }
+      return;
+    }
+    if (!handler) {
+      this.send({id: message.id, error: {
+        code: ERRORS.methodNotFound, message: `Unknown method: ${message.method}`
+      }});
+      return;
+    }
+    try {
+      const result = handler(message.params || {});
+      this.send({id: message.id, result: result === undefined ? null : result});
+    } catch (e) {
+      this.send({id: message.id, error: {code: ERRORS.internal, message: e.message}});
+    }
+  }
+
+  handlers() {
+    return {
+      initialize: () => ({
+        capabilities: {
+          textDocumentSync: 1,
+          completionProvider: {triggerCharacters: ['.', '$']},
+          hoverProvider: true,
+          definitionProvider: true
+        },
+        serverInfo: {name: 'fireplan-lsp'}
+      }),
+      shutdown: () => {
+        this.shutdown = true;
+      },
+      exit: () => process.exit(this.shutdown ? 0 : 1),
+      'textDocument/didOpen': params => this.update(
+        params.textDocument.uri, params.textDocument.text),
+      'textDocument/didChange': params => this.update(
+        params.textDocument.uri, _.last(params.contentChanges).text),
+      'textDocument/didClose': params => {
+        delete this.documents[params.textDocument.uri];
+        this.send({method: 'textDocument/publishDiagnostics', params: {
+          uri: params.textDocument.uri, diagnostics: []
+        }});
+      },
+      'textDocument/completion': params => this.complete(params.textDocument.uri, params.position),
+      'textDocument/hover': params => this.hover(params.textDocument.uri, params.position),
+      'textDocument/definition': params => this.define(params.textDocument.uri, params.position)
+    };
+  }
+
+  // Recompiles a document and publishes its diagnostics.  The last version that parsed and the last
+  // one that compiled are kept around, so that completion and hovers keep working while typing.
+  update(uri, text) {
+    const file = uri.startsWith('file:') ? fileURLToPath(uri) : undefined;
+    const document = this.documents[uri] || {};
+    this.documents[uri] = document;
+    document.text = text;
+    document.lines = text.split('\n');
+    try {
+      document.source = expandTypes(cloneSource(new Loader().loadText(text, file)));
+    } catch {
+      // Reported by the compiler below.
+    }
+    const result = compile(text, {filename: file});
+    if (result.rules) document.compiled = result;
+    this.send({method: 'textDocument/publishDiagnostics', params: {
+      uri, diagnostics: _(result.diagnostics)
+        .filter(diagnostic => !diagnostic.file || !file || diagnostic.file === file)
+        .map(diagnostic => ({
+          range: toRange(diagnostic, document.lines),
+          severity: diagnostic.severity === 'error' ? 1 : 2,
+          source: 'fireplan',
+          code: diagnostic.rule,
+          message: diagnostic.message
+        }))
+        .value()
+    }});
+  }
+
+  // Returns the YAML nodes from the root down to the given line, along with their keys.
+  scope(document, line) {
+    const path = keyPath(document.lines, line);
+    const nodes = [];
+    if (path[0] !== 'root' || !document.source) return {path, nodes};
+    let yaml = document.source.root;
+    nodes.push(yaml);
+    _.forEach(path.slice(1), key => {
+      if (key.charAt(0) === '.') return false;
+      yaml = findChild(yaml, key);
+      if (yaml === undefined) return false;
+      nodes.push(yaml);
+    });
+    return {path, nodes};
+  }
+
+  complete(uri, position) {
+    const document = this.documents[uri];
+    if (!document) return [];
+    const prefix = (document.lines[position.line] || '').slice(0, position.character);
+    const {path, nodes} = this.scope(document, position.line);
+    const item = (label, kind, detail) => _.assign(
+      {label, kind: COMPLETION_KINDS[kind]}, detail && {detail});
+
+    const member = prefix.match(/([\w$]+)((?:\.[\w$]+)*)\.[\w$]*$/);
+    if (member) {
+      if (!_.includes(SNAPSHOTS, member[1]) && !this.refs(nodes)[member[1]]) return [];
+      let yaml;
+      if (member[1] === 'root') {
+        yaml = document.source && document.source.root;
+      } else if (this.refs(nodes)[member[1]]) {
+        yaml = this.refs(nodes)[member[1]];
+      } else {
+        yaml = _.last(nodes);
+      }
+      _.forEach(_.compact(member[2].split('.')), key => {
+        yaml = findChild(yaml, key) || _.find(yaml, (value, name) => name.charAt(0) === '$');
+      });
+      return _(_.isPlainObject(yaml) ? _.keys(yaml) : [])
+        .filter(key => !/^[.$]/.test(key))
+        .map(key => item(key.replace(/\/.*/, ''), 'field'))
+        .value();
+    }
+
+    const items = _.map(GLOBALS, name => item(name, 'keyword'));
+    _.forEach(this.functions(document), ({name, signature}) => {
+      items.push(item(name, 'function', signature));
+    });
+    _.forEach(path, key => {
+      const name = key.replace(/\/.*/, '');
+      if (name.charAt(0) === '$') items.push(item(name, 'variable', 'wildcard'));
+    });
+    _.forEach(_.keys(this.refs(nodes)), name => items.push(item(name, 'variable', 'ref')));
+    return _.uniqBy(items, 'label');
+  }
+
+  // Returns the .ref names in scope, mapped to the nodes they refer to.
+  refs(nodes) {
+    const refs = {};
+    _.forEach(nodes, yaml => {
+      if (_.isPlainObject(yaml) && _.isString(yaml['.ref'])) refs[yaml['.ref']] = yaml;
+    });
+    return refs;
+  }
+
+  functions(document) {
+    const functions = _.map(BUILTIN_FUNCTIONS, name => ({name, signature: name}));
+    _.forEach(library.FUNCTIONS.concat(document.source && document.source.functions || []),
+      definition => {
+        _.forEach(definition, (body, signature) => {
+          functions.push({
+            name: _.trim(signature.replace(/\(.*/, '')), signature, body, definition
+          });
+        });
+      });
+    return _.reverse(_.uniqBy(_.reverse(functions), 'name'));
+  }
+
+  hover(uri, position) {
+    const document = this.documents[uri];
+    if (!document || !document.compiled) return null;
+    const file = uri.startsWith('file:') ? fileURLToPath(uri) : '<input>';
+    const rules = _.compact(_.map(document.compiled.sourceMap, (mapping, rulePath) => {
+      const matches = _.some(mapping.sources, source =>
+        source.line === position.line + 1 && (!source.file || source.file === file));
+      if (!matches) return;
+      const segments = _.compact(rulePath.split('/'));
+      const value = _.get(document.compiled.rules, segments);
+      return `${rulePath}: ${_.isString(value) ? value : JSON.stringify(value)}`;
+    }));
+    if (!rules.length) return null;
+    return {contents: {kind: 'markdown', value: '```\n' + rules.join('\n') + '\n```'}};
+  }
+
+  define(uri, position) {
+    const document = this.documents[uri];
+    if (!document || !document.source) return null;
+    const word = wordAt(document.lines[position.line] || '', position.character);
+    if (!word) return null;
+    const fn = _.find(this.functions(document), {name: word});
+    let location = fn && fn.definition && keyLocationOf(fn.definition, fn.signature);
+    if (!location) {
+      const ref = this.refs(this.scope(document, position.line).nodes)[word];
+      location = ref && keyLocationOf(ref, '.ref');
+    }
+    if (!location && _.isPlainObject(document.source.types)) {
+      const signature = _.find(_.keys(document.source.types),
+        key => _.trim(key.replace(/\(.*/, '')) === word);
+      location = signature && keyLocationOf(document.source.types, signature);
+    }
+    if (!location) return null;
+    const targetUri = location.file === '<input>' ? uri : pathToFileURL(location.file).href;
+    const start = {line: location.line - 1, character: location.column - 1};
+    return {uri: targetUri, range: {start, end: start}};
+  }
+}
+
+
+exports.LanguageServer = LanguageServer;
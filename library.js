@@ -0,0 +1,34 @@
+'use strict';
+
+// Predefined functions for common validations.  Unlike string, number, boolean and any, rule files
+// can define their own functions with these names, which then take precedence.
+exports.FUNCTIONS = [
+  {'stringLength(min, max)':
+    'next.isString() && next.val().length >= min && next.val().length <= max'},
+  {'matches(pattern)': 'next.isString() && next.val().matches(pattern)'},
+  {'integer': 'next.isNumber() && next.val() % 1 == 0'},
+  {'range(min, max)': 'next.isNumber() && next.val() >= min && next.val() <= max'},
+  {'timestamp': 'next.isNumber() && next.val() <= now'},
+  {'serverTimestamp': 'next.val() == now'},
+  {'immutable': '!prev.exists() || next.val() == prev.val()'},
+  {'nullable(condition)': '!next.exists() || condition'}
+];
+
+// The TypeScript types of values accepted by the functions above, where there is one.
+exports.TYPES = {
+  stringLength: 'string', matches: 'string', integer: 'number', range: 'number',
+  timestamp: 'number', serverTimestamp: 'number'
+};
+
+// Firebase only supports a subset of JavaScript regular expressions.
+exports.checkPattern = function(pattern) {
+  if (/[^i]/.test(pattern.flags)) {
+    throw new Error(`Unsupported regular expression flags: ${pattern.flags} (only i is allowed)`);
+  }
+  if (/\(\?<?[=!]|\(\?</.test(pattern.pattern)) {
+    throw new Error(`Lookaround and named groups are not supported: /${pattern.pattern}/`);
+  }
+  if (/(^|[^\\])(\\\\)*\\[1-9]/.test(pattern.pattern)) {
+    throw new Error(`Backreferences are not supported: /${pattern.pattern}/`);
+  }
+};
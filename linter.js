@@ -0,0 +1,283 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const estraverse = require('estraverse');
+const fs = require('fs');
+const {locationOf, formatLocation} = require('./loader');
+const {expandTypes} = require('./type_expander');
+
+const KEYWORDS_REGEX = /^\s*((required|indexed|encrypted(\[.*?\])?)(\s+|$))*/;
+const SEVERITIES = ['off', 'warn', 'error'];
+
+const RULES = {
+  'cascading-grant': {
+    severity: 'warn',
+    description: 'a .read or .write rule that grants access to a whole subtree'
+  },
+  'unreachable-rule': {
+    severity: 'warn',
+    description: 'a .read or .write rule made dead by an ancestor that always grants access'
+  },
+  'unused-function': {severity: 'warn', description: 'a function that is never called'},
+  'unused-ref': {severity: 'warn', description: 'a .ref name that is never used'},
+  'indexed-under-more': {
+    severity: 'warn', description: 'an indexed child of an object that allows any other children'
+  },
+  'duplicate-oneof': {severity: 'warn', description: 'a oneOf() call with duplicate values'},
+  'constant-expression': {
+    severity: 'warn', description: 'an expression that always evaluates to the same value'
+  }
+};
+
+
+function parseExpression(expression) {
+  try {
+    return esprima.parse(String(expression)).body[0].expression;
+  } catch {
+    // Syntax errors are reported by the compiler instead.
+  }
+}
+
+// Returns {value} if the expression's value doesn't depend on any variables.
+function constantValue(node) {
+  switch (node.type) {
+    case 'Literal':
+      return node.regex ? undefined : {value: node.value};
+    case 'UnaryExpression': {
+      const argument = constantValue(node.argument);
+      if (!argument) return;
+      if (node.operator === '!') return {value: !argument.value};
+      if (node.operator === '-') return {value: -argument.value};
+      return;
+    }
+    case 'LogicalExpression': {
+      const left = constantValue(node.left), right = constantValue(node.right);
+      if (left) {
+        if (node.operator === '&&' ? !left.value : left.value) return left;
+        return right;
+      }
+      if (right && (node.operator === '&&' ? !right.value : right.value)) return right;
+      return;
+    }
+    case 'BinaryExpression': {
+      const left = constantValue(node.left), right = constantValue(node.right);
+      if (!left || !right) return;
+      switch (node.operator) {
+        case '==': case '===': return {value: left.value === right.value};
+        case '!=': case '!==': return {value: left.value !== right.value};
+        case '<': return {value: left.value < right.value};
+        case '<=': return {value: left.value <= right.value};
+        case '>': return {value: left.value > right.value};
+        case '>=': return {value: left.value >= right.value};
+      }
+    }
+  }
+}
+
+function isConstantTrue(expression) {
+  if (expression === true) return true;
+  const ast = parseExpression(expression);
+  const constant = ast && constantValue(ast);
+  return !!constant && constant.value === true;
+}
+
+function referencedNames(expression) {
+  const names = [];
+  const ast = parseExpression(expression);
+  if (!ast) return names;
+  estraverse.traverse(ast, {
+    enter: (node, parent) => {
+      if (node.type === 'Identifier' && !(
+        parent && parent.type === 'MemberExpression' && !parent.computed &&
+        parent.property === node
+      )) {
+        names.push(node.name);
+      }
+    }
+  });
+  return names;
+}
+
+
+class Linter {
+  constructor(source, options) {
+    this.source = expandTypes(source);
+    this.options = options || {};
+    this.severities = _.assign(
+      _.mapValues(RULES, 'severity'), source.lint, this.options.rules);
+    _.forEach(this.severities, (severity, rule) => {
+      if (!RULES[rule]) throw new Error(`Unknown lint rule: ${rule}`);
+      if (!_.includes(SEVERITIES, severity)) {
+        throw new Error(`Invalid severity for lint rule ${rule}: ${severity}`);
+      }
+    });
+    this.findings = [];
+    // Sources that weren't loaded from files can be passed in as texts, keyed by file name.
+    this.fileLines = _.mapValues(this.options.texts, text => text.split('\n'));
+  }
+
+  lint(sourceMap) {
+    this.lintFunctions(sourceMap);
+    this.lintBranch(this.source.root, 'root', {}, locationOf(this.source, 'root'));
+    return _.sortBy(this.findings, ['file', 'line', 'column']);
+  }
+
+  report(rule, message, path, location) {
+    const severity = this.severities[rule];
+    if (severity === 'off' || this.isSuppressed(rule, location)) return;
+    this.findings.push(_.assign(
+      {rule, severity, message, path}, location && _.pick(location, 'file', 'line', 'column')));
+  }
+
+  // Checks for `# fireplan-lint-disable [rules]` on the offending line, or
+  // `# fireplan-lint-disable-next-line [rules]` on the line before it.
+  isSuppressed(rule, location) {
+    if (!location) return false;
+    if (!this.fileLines[location.file]) {
+      this.fileLines[location.file] = fs.readFileSync(location.file, 'utf8').split('\n');
+    }
+    const lines = this.fileLines[location.file];
+    const matches = (line, directive) => {
+      const match = (line || '').match(
+        new RegExp(`#\\s*fireplan-lint-${directive}(?:\\s+([\\w\\s,-]+?))?\\s*$`));
+      return !!match && (!match[1] || _.includes(_.map(match[1].split(','), _.trim), rule));
+    };
+    return matches(lines[location.line - 1], 'disable') ||
+      matches(lines[location.line - 2], 'disable-next-line');
+  }
+
+  lintFunctions(sourceMap) {
+    const called = _.union(..._.map(sourceMap, 'functions'));
+    const mainFile = locationOf(this.source) && locationOf(this.source).file;
+    _.forEach(this.source.functions, definition => {
+      _.forEach(definition, (body, signature) => {
+        const location = locationOf(definition, signature);
+        this.lintExpression(body, `function ${signature}`, location);
+        const name = _.trim(signature.replace(/\(.*/, ''));
+        // Functions imported from other files are libraries, so they needn't all be used.
+        if (_.includes(called, name) || location && location.file !== mainFile) return;
+        this.report(
+          'unused-function', `Function ${name} is never called`, `function ${signature}`,
+          location);
+      });
+    });
+  }
+
+  lintExpression(expression, path, location) {
+    if (!_.isString(expression) && !_.isBoolean(expression)) return;
+    const ast = parseExpression(expression);
+    if (!ast) return;
+    if (ast.type !== 'Literal' && constantValue(ast)) {
+      this.report(
+        'constant-expression',
+        `Expression always evaluates to ${constantValue(ast).value}: ${expression}`, path,
+        location);
+    }
+    estraverse.traverse(ast, {
+      enter: node => {
+        if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' ||
+            node.callee.name !== 'oneOf') {
+          return;
+        }
+        const values = _(node.arguments).filter({type: 'Literal'}).map('value').value();
+        const duplicates = _(values).countBy().pickBy(count => count > 1).keys().value();
+        if (duplicates.length) {
+          this.report(
+            'duplicate-oneof', `Duplicate values in oneOf(): ${duplicates.join(', ')}`, path,
+            location);
+        }
+      }
+    });
+  }
+
+  // Returns all the expressions in the given branch and its descendants.
+  collectExpressions(yaml) {
+    if (_.isString(yaml)) return [yaml.replace(KEYWORDS_REGEX, '')];
+    if (!_.isPlainObject(yaml)) return [];
+    return _.flatMap(yaml, (value, key) => {
+      if (key === '.value') return [String(value).replace(KEYWORDS_REGEX, '')];
+      if (key === '.read' || key === '.write' || key === '.read/write') return [String(value)];
+      if (key.charAt(0) === '.') return [];
+      return this.collectExpressions(value);
+    });
+  }
+
+  lintBranch(yaml, path, grants, location) {
+    if (_.isString(yaml)) {
+      this.lintExpression(yaml.replace(KEYWORDS_REGEX, ''), path, location);
+      return;
+    }
+    if (!_.isPlainObject(yaml)) return;
+    const childKeys = _.filter(_.keys(yaml), key => key.charAt(0) !== '.');
+    grants = _.clone(grants);
+    const cascading = {};
+    _.forEach(['.read', '.write'], kind => {
+      const key = kind in yaml ? kind : '.read/write' in yaml && '.read/write';
+      if (!key) return;
+      const ruleLocation = locationOf(yaml, key) || location;
+      if (grants[kind]) {
+        this.report(
+          'unreachable-rule',
+          `${kind} rule has no effect, since ${grants[kind]} already grants access`, path,
+          ruleLocation);
+      } else if (isConstantTrue(yaml[key])) {
+        grants[kind] = path;
+        if (childKeys.length && !cascading[key]) {
+          cascading[key] = true;
+          this.report(
+            'cascading-grant', `${key}: true grants access to everything below ${path}`, path,
+            ruleLocation);
+        }
+      }
+    });
+    _.forEach(yaml, (value, key) => {
+      if (_.includes(['.read', '.write', '.read/write', '.value'], key)) {
+        this.lintExpression(value, path, locationOf(yaml, key) || location);
+      }
+    });
+    if ('.ref' in yaml) {
+      const name = yaml['.ref'];
+      const used = _.some(
+        this.collectExpressions(yaml),
+        expression => _.includes(referencedNames(expression), name));
+      if (!used) {
+        this.report(
+          'unused-ref', `Ref ${name} is never used`, path, locationOf(yaml, '.ref') || location);
+      }
+    }
+    _.forEach(childKeys, key => {
+      const value = yaml[key];
+      const childLocation = locationOf(yaml, key) || location;
+      const constraint = _.isString(value) ? value : _.isPlainObject(value) && value['.value'];
+      if (yaml['.more'] === true && _.isString(constraint) &&
+          _.includes(constraint.match(KEYWORDS_REGEX)[0].split(/\s+/), 'indexed')) {
+        this.report(
+          'indexed-under-more',
+          `Indexed child ${key} is under an object that allows any other children`, path,
+          childLocation);
+      }
+      const name = key.replace(/\/.*/, '');
+      const childPath = name.charAt(0) === '$' ? `${path}[${name}]` : `${path}.${name}`;
+      this.lintBranch(value, childPath, grants, childLocation);
+    });
+  }
+}
+
+
+exports.RULES = RULES;
+
+exports.lint = function(source, sourceMap, options) {
+  return new Linter(source, options).lint(sourceMap);
+};
+
+exports.formatFindings = function(findings, format) {
+  if (format === 'json') return JSON.stringify(findings, null, 2);
+  const lines = _.map(findings, finding => {
+    const location = finding.file ? formatLocation(finding) : finding.path;
+    return `${location}: ${finding.severity} ${finding.message} [${finding.rule}]`;
+  });
+  const errors = _.filter(findings, {severity: 'error'}).length;
+  lines.push(`${errors} errors, ${findings.length - errors} warnings`);
+  return lines.join('\n');
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const jsyaml = require('js-yaml');
+const clone = require('clone');
+
+const locations = new WeakMap();
+const anchors = new WeakMap();
+const comments = new WeakMap();
+
+
+class Loader {
+  constructor() {
+    this.files = [];
+    this.stack = [];
+  }
+
+  load(file) {
+    const resolved = path.resolve(file);
+    if (_.includes(this.stack, resolved)) {
+      const cycle = this.stack.slice(this.stack.indexOf(resolved)).concat([resolved]);
+      throw new Error('Cyclic include: ' + _.map(cycle, this.relative.bind(this)).join(' -> '));
+    }
+    const rawSource = fs.readFileSync(resolved, 'utf8');
+    if (!_.includes(this.files, resolved)) this.files.push(resolved);
+    return this.parse(rawSource, file, resolved);
+  }
+
+  // Loads YAML that doesn't come from a file, resolving includes relative to the given file name.
+  loadText(text, file) {
+    const resolved = file ? path.resolve(file) : '<input>';
+    return this.parse(text, file || resolved, resolved);
+  }
+
+  parse(rawSource, file, resolved) {
+    this.stack.push(resolved);
+    try {
+      const source = jsyaml.load(rawSource, {
+        filename: file, schema: this.schema(resolved), listener: this.listener(rawSource, resolved)
+      });
+      if (_.isPlainObject(source) && 'import' in source) this.importFunctions(source, resolved);
+      return source;
+    } catch (e) {
+      if (!e.file) {
+        // YAML syntax errors already name the file they occurred in.
+        if (!(e instanceof jsyaml.YAMLException)) e.message += ` (in ${this.relative(resolved)})`;
+        e.file = resolved;
+      }
+      throw e;
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  schema(file) {
+    return jsyaml.DEFAULT_SCHEMA.extend([new jsyaml.Type('!include', {
+      kind: 'scalar',
+      resolve: data => _.isString(data) && !!data,
+      construct: data => this.load(path.resolve(path.dirname(file), data))
+    })]);
+  }
+
+  importFunctions(source, file) {
+    const imports = _.castArray(source.import);
+    delete source.import;
+    let functions = [];
+    _.forEach(imports, importFile => {
+      if (!_.isString(importFile)) throw new Error('Invalid import: ' + importFile);
+      const library = this.load(path.resolve(path.dirname(file), importFile));
+      functions = functions.concat(library && library.functions || []);
+    });
+    source.functions = functions.concat(source.functions || []);
+  }
+
+  // Returns a js-yaml listener that records the source location of every object, and of every key
+  // and value within it, as the document is parsed.
+  listener(rawSource, file) {
+    const lineStarts = [0];
+    for (let i = 0; i < rawSource.length; i++) {
+      if (rawSource.charAt(i) === '\n') lineStarts.push(i + 1);
+    }
+    const locate = offset => {
+      // Nodes open before any whitespace and comments that precede their content.
+      while (offset < rawSource.length) {
+        const char = rawSource.charAt(offset);
+        if (char === '#') {
+          while (offset < rawSource.length && rawSource.charAt(offset) !== '\n') offset++;
+        } else if (/\s/.test(char)) {
+          offset++;
+        } else {
+          break;
+        }
+      }
+      const line = _.sortedLastIndex(lineStarts, offset);
+      return {file, line, column: offset - lineStarts[line - 1] + 1};
+    };
+    const lines = rawSource.split(/\r?\n/);
+    const frames = [{children: []}];
+    return (event, state) => {
+      if (event === 'open') {
+        frames.push({location: locate(state.position), children: []});
+        return;
+      }
+      const frame = frames.pop();
+      const node = {kind: state.kind, result: state.result, location: frame.location};
+      _.last(frames).children.push(node);
+      if (state.anchor !== null && _.isObject(state.result)) {
+        anchors.set(state.result, state.anchor);
+      }
+      this.recordLocations(node, frame.children);
+      this.recordComments(node.result, lines);
+    };
+  }
+
+  // Records the comment lines directly above each key of a mapping.
+  recordComments(object, lines) {
+    const info = _.isPlainObject(object) && locations.get(object);
+    if (!info || comments.has(object)) return;
+    const result = {};
+    _.forEach(info.keys, (location, key) => {
+      const text = [];
+      for (let line = location.line - 2; line >= 0 && /^\s*#/.test(lines[line]); line--) {
+        text.unshift(lines[line].replace(/^\s*#+ ?/, ''));
+      }
+      if (text.length) result[key] = text.join('\n');
+    });
+    comments.set(object, result);
+  }
+
+  recordLocations(node, children) {
+    const object = node.result;
+    if (!_.isObject(object) || locations.has(object)) return;
+    const info = {location: node.location, keys: {}, values: {}};
+    locations.set(object, info);
+    if (node.kind === 'sequence') {
+      _.forEach(children, (child, index) => {
+        info.values[index] = child.location;
+      });
+    } else if (node.kind === 'mapping') {
+      // Children alternate between keys and values, except for merge keys.
+      for (let i = 0; i < children.length;) {
+        const key = children[i];
+        if (key.kind === 'scalar' && i + 1 < children.length) {
+          if (_.has(object, key.result)) {
+            info.keys[key.result] = key.location;
+            info.values[key.result] = children[i + 1].location;
+            i += 2;
+            continue;
+          }
+          if (key.result === '<<') {
+            i += 2;
+            continue;
+          }
+        }
+        i += 1;
+      }
+    }
+  }
+
+  relative(file) {
+    return path.relative(process.cwd(), file) || file;
+  }
+}
+
+
+exports.Loader = Loader;
+
+exports.load = function(file) {
+  return new Loader().load(file);
+};
+
+exports.locationOf = function(object, key) {
+  const info = _.isObject(object) && locations.get(object);
+  if (!info) return;
+  if (key === undefined) return info.location;
+  return info.values[key] || info.keys[key];
+};
+
+exports.keyLocationOf = function(object, key) {
+  const info = _.isObject(object) && locations.get(object);
+  return info ? info.keys[key] : undefined;
+};
+
+exports.anchorOf = function(object) {
+  return _.isObject(object) ? anchors.get(object) : undefined;
+};
+
+exports.commentOf = function(object, key) {
+  const info = _.isObject(object) && comments.get(object);
+  return info ? info[key] : undefined;
+};
+
+// Deep-copies a loaded source, carrying over the locations, anchors and comments recorded for its
+// objects.
+exports.cloneSource = function(source) {
+  const copy = clone(source);
+  const visited = new Set();
+  const copyMetadata = (original, copied) => {
+    if (!_.isObject(original) || visited.has(original)) return;
+    visited.add(original);
+    if (locations.has(original)) locations.set(copied, locations.get(original));
+    if (anchors.has(original)) anchors.set(copied, anchors.get(original));
+    if (comments.has(original)) comments.set(copied, comments.get(original));
+    _.forEach(original, (value, key) => copyMetadata(value, copied[key]));
+  };
+  copyMetadata(source, copy);
+  return copy;
+};
+
+exports.formatLocation = function(location) {
+  const file = path.relative(process.cwd(), location.file) || location.file;
+  return `${file}:${location.line}:${location.column}`;
+};
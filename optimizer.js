@@ -0,0 +1,143 @@
+'use strict';
+
+const _ = require('lodash');
+const escodegen = require('escodegen');
+const estraverse = require('estraverse');
+
+const VERBATIM = 'x-fireplan-verbatim';
+const FORMAT = {format: {semicolons: false, newline: ' '}, verbatim: VERBATIM};
+
+const NEGATIONS = {'==': '!=', '!=': '==', '===': '!==', '!==': '==='};
+
+const OPERATORS = {
+  '==': (a, b) => a === b, '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b, '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+  '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+
+function isLiteral(node, value) {
+  return node.type === 'Literal' && !node.regex && (value === undefined || node.value === value);
+}
+
+function literal(value) {
+  // Negative numbers aren't literals in JavaScript, and escodegen refuses to generate them.
+  if (_.isNumber(value) && (value < 0 || Object.is(value, -0))) {
+    return {type: 'UnaryExpression', operator: '-', prefix: true, argument: literal(-value)};
+  }
+  return {type: 'Literal', value, raw: _.isString(value) ? `'${value}'` : String(value)};
+}
+
+function key(node) {
+  return escodegen.generate(node);
+}
+
+function foldUnary(node) {
+  const argument = node.argument;
+  if (node.operator === '!') {
+    if (isLiteral(argument) && _.isBoolean(argument.value)) return literal(!argument.value);
+    // Rules only allow ! on booleans, so a double negation is always redundant.
+    if (argument.type === 'UnaryExpression' && argument.operator === '!') return argument.argument;
+    if (argument.type === 'BinaryExpression' && NEGATIONS[argument.operator]) {
+      return _.assign({}, argument, {operator: NEGATIONS[argument.operator]});
+    }
+  } else if (node.operator === '-' && argument.type === 'UnaryExpression' &&
+      argument.operator === '-' && isLiteral(argument.argument) &&
+      _.isNumber(argument.argument.value)) {
+    return argument.argument;
+  }
+}
+
+function foldBinary(node) {
+  if (!isLiteral(node.left) || !isLiteral(node.right) || !OPERATORS[node.operator]) return;
+  const value = OPERATORS[node.operator](node.left.value, node.right.value);
+  if (_.isNumber(value) && !_.isFinite(value)) return;
+  return literal(value);
+}
+
+function flatten(node, operator) {
+  if (node.type !== 'LogicalExpression' || node.operator !== operator) return [node];
+  return flatten(node.left, operator).concat(flatten(node.right, operator));
+}
+
+function hasChildrenCall(node) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' ||
+      node.callee.computed || node.callee.property.name !== 'hasChildren') {
+    return;
+  }
+  const object = node.callee.object;
+  if (!node.arguments.length) return {object, keys: []};
+  const keys = node.arguments[0];
+  if (node.arguments.length === 1 && keys.type === 'ArrayExpression' && _.every(
+    keys.elements, element => element && isLiteral(element) && _.isString(element.value)
+  )) {
+    return {object, keys: _.map(keys.elements, 'value')};
+  }
+}
+
+// Merges all the hasChildren() conjuncts on the same snapshot into the first one, which also drops
+// plain hasChildren() checks made redundant by a list of required children.
+function mergeHasChildren(terms) {
+  const calls = _.map(terms, hasChildrenCall);
+  const groups = _.groupBy(_.compact(calls), call => key(call.object));
+  return _.compact(_.map(terms, (term, index) => {
+    const call = calls[index];
+    if (!call) return term;
+    const group = groups[key(call.object)];
+    if (group[0] !== call) return;
+    const keys = _.union(..._.map(group, 'keys'));
+    return _.assign({}, term, {
+      arguments: keys.length ? [{type: 'ArrayExpression', elements: _.map(keys, literal)}] : []
+    });
+  }));
+}
+
+function foldLogical(node) {
+  const operator = node.operator;
+  // true is the identity of &&, and false that of ||.
+  const identity = operator === '&&';
+  let terms = [];
+  for (const term of flatten(node, operator)) {
+    if (isLiteral(term, identity)) continue;
+    terms.push(term);
+    // The expression short-circuits here, so the remaining terms are never evaluated.
+    if (isLiteral(term, !identity)) break;
+  }
+  terms = _.uniqBy(terms, key);
+  if (operator === '&&') terms = mergeHasChildren(terms);
+  if (!terms.length) return literal(identity);
+  return _.reduce(
+    terms.slice(1), (left, right) => ({type: 'LogicalExpression', operator, left, right}),
+    terms[0]);
+}
+
+
+exports.optimize = function(ast) {
+  return estraverse.replace(ast, {
+    leave: node => {
+      switch (node.type) {
+        case 'UnaryExpression': return foldUnary(node);
+        case 'BinaryExpression': return foldBinary(node);
+        case 'LogicalExpression': return foldLogical(node);
+      }
+    }
+  });
+};
+
+// Generates an optimized expression on a single line, with arrays written like the hasChildren()
+// lists the compiler generates rather than escodegen's multiline layout.
+exports.generate = function(ast) {
+  estraverse.traverse(ast, {
+    leave: node => {
+      if (node.type !== 'ArrayExpression') return;
+      const elements = _.map(node.elements, element => escodegen.generate(element, FORMAT));
+      node[VERBATIM] = {
+        content: `[${elements.join(', ')}]`,
+        precedence: escodegen.Precedence.Primary
+      };
+    }
+  });
+  return escodegen.generate(ast, FORMAT);
+};
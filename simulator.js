@@ -0,0 +1,394 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+
+const STRING_METHODS = {
+  contains: (str, substring) => str.includes(substring),
+  beginsWith: (str, prefix) => str.startsWith(prefix),
+  endsWith: (str, suffix) => str.endsWith(suffix),
+  replace: (str, substring, replacement) => str.split(substring).join(replacement),
+  toLowerCase: str => str.toLowerCase(),
+  toUpperCase: str => str.toUpperCase(),
+  matches: (str, regex) => {
+    if (!_.isRegExp(regex)) throw new Error('matches() expects a regular expression');
+    return regex.test(str);
+  }
+};
+
+const SNAPSHOT_METHODS = [
+  'val', 'child', 'parent', 'hasChild', 'hasChildren', 'exists', 'getPriority', 'isNumber',
+  'isString', 'isBoolean'
+];
+
+
+function normalizeData(value) {
+  if (_.isArray(value)) value = _.assign({}, value);
+  if (!_.isPlainObject(value)) return value === undefined ? null : value;
+  const result = {};
+  _.forEach(value, (child, key) => {
+    child = normalizeData(child);
+    if (child !== null) result[key] = child;
+  });
+  return _.isEmpty(result) ? null : result;
+}
+
+function splitPath(path) {
+  if (_.isArray(path)) return path;
+  return _.compact(String(path).split('/'));
+}
+
+function formatPath(segments) {
+  return '/' + segments.join('/');
+}
+
+function getIn(data, segments) {
+  let value = data;
+  for (const segment of segments) {
+    if (!_.isPlainObject(value) || !_.has(value, segment)) return null;
+    value = value[segment];
+  }
+  return value;
+}
+
+function setIn(data, segments, value) {
+  if (!segments.length) return normalizeData(value);
+  const result = _.isPlainObject(data) ? _.clone(data) : {};
+  const [head, ...rest] = segments;
+  result[head] = setIn(result[head], rest, value);
+  return normalizeData(result);
+}
+
+function matchChild(ruleNode, key) {
+  if (!_.isPlainObject(ruleNode)) return;
+  if (_.has(ruleNode, key) && key.charAt(0) !== '$' && key.charAt(0) !== '.') {
+    return {node: ruleNode[key]};
+  }
+  const wildcard = _.find(_.keys(ruleNode), name => name.charAt(0) === '$');
+  if (wildcard) return {node: ruleNode[wildcard], variable: wildcard};
+}
+
+
+class RuleSnapshot {
+  constructor(root, segments) {
+    this.root = root;
+    this.segments = segments;
+  }
+
+  val() {
+    return getIn(this.root, this.segments);
+  }
+
+  child(path) {
+    if (!_.isString(path)) throw new Error('child() expects a string path, got: ' + path);
+    return new RuleSnapshot(this.root, this.segments.concat(splitPath(path)));
+  }
+
+  parent() {
+    if (!this.segments.length) throw new Error('parent() called on the root');
+    return new RuleSnapshot(this.root, this.segments.slice(0, -1));
+  }
+
+  hasChild(path) {
+    return this.child(path).exists();
+  }
+
+  hasChildren(keys) {
+    const value = this.val();
+    if (!_.isPlainObject(value)) return false;
+    if (keys === undefined) return true;
+    if (!_.isArray(keys)) throw new Error('hasChildren() expects an array of keys');
+    return _.every(keys, key => this.hasChild(key));
+  }
+
+  exists() {
+    return this.val() !== null;
+  }
+
+  getPriority() {
+    return null;
+  }
+
+  isNumber() {
+    return _.isNumber(this.val());
+  }
+
+  isString() {
+    return _.isString(this.val());
+  }
+
+  isBoolean() {
+    return _.isBoolean(this.val());
+  }
+}
+
+
+function evaluateNode(node, variables) {
+  switch (node.type) {
+    case 'Program':
+      if (node.body.length !== 1 || node.body[0].type !== 'ExpressionStatement') {
+        throw new Error('Expected a single expression');
+      }
+      return evaluateNode(node.body[0].expression, variables);
+    case 'Literal':
+      if (node.regex) return new RegExp(node.regex.pattern, node.regex.flags);
+      return node.value;
+    case 'ArrayExpression':
+      return _.map(node.elements, element => evaluateNode(element, variables));
+    case 'Identifier':
+      if (!(node.name in variables)) throw new Error('Unknown variable: ' + node.name);
+      return variables[node.name];
+    case 'MemberExpression': {
+      const object = evaluateNode(node.object, variables);
+      const property =
+        node.computed ? evaluateNode(node.property, variables) : node.property.name;
+      return getProperty(object, property);
+    }
+    case 'CallExpression': {
+      const fn = evaluateNode(node.callee, variables);
+      if (!_.isFunction(fn)) throw new Error('Not a function: ' + node.callee.type);
+      return fn(..._.map(node.arguments, arg => evaluateNode(arg, variables)));
+    }
+    case 'UnaryExpression': {
+      const argument = evaluateNode(node.argument, variables);
+      switch (node.operator) {
+        case '!': return !argument;
+        case '-': return -argument;
+        case '+': return +argument;
+      }
+      break;
+    }
+    case 'LogicalExpression': {
+      const left = evaluateNode(node.left, variables);
+      if (node.operator === '&&') return left ? evaluateNode(node.right, variables) : left;
+      if (node.operator === '||') return left ? left : evaluateNode(node.right, variables);
+      break;
+    }
+    case 'BinaryExpression': {
+      const left = evaluateNode(node.left, variables);
+      const right = evaluateNode(node.right, variables);
+      switch (node.operator) {
+        case '==': case '===': return left === right;
+        case '!=': case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+      break;
+    }
+    case 'ConditionalExpression':
+      return evaluateNode(node.test, variables) ?
+        evaluateNode(node.consequent, variables) : evaluateNode(node.alternate, variables);
+  }
+  throw new Error(`Unsupported expression: ${node.operator || node.type}`);
+}
+
+function getProperty(object, property) {
+  if (object === null || object === undefined) {
+    throw new Error(`Cannot read property "${property}" of null`);
+  }
+  if (object instanceof RuleSnapshot) {
+    if (!_.includes(SNAPSHOT_METHODS, property)) {
+      throw new Error(`Unknown snapshot method: ${property}`);
+    }
+    return object[property].bind(object);
+  }
+  if (_.isString(object)) {
+    if (property === 'length') return object.length;
+    const method = STRING_METHODS[property];
+    if (!method) throw new Error(`Unknown string method: ${property}`);
+    return (...args) => method(object, ...args);
+  }
+  if (_.isPlainObject(object)) {
+    return _.has(object, property) ? object[property] : null;
+  }
+  throw new Error(`Cannot read property "${property}" of ${typeof object}`);
+}
+
+function evaluate(expression, variables) {
+  if (_.isBoolean(expression)) return {value: expression};
+  try {
+    const value = evaluateNode(esprima.parse(expression), variables);
+    if (!_.isBoolean(value)) throw new Error('Rule did not evaluate to a boolean: ' + value);
+    return {value};
+  } catch (e) {
+    return {value: false, error: e.message};
+  }
+}
+
+
+class Simulator {
+  constructor(rules, options) {
+    if (_.isPlainObject(rules) && _.isEqual(_.keys(rules), ['rules'])) rules = rules.rules;
+    this.rules = rules;
+    options = options || {};
+    this.data = normalizeData(options.data);
+    this.auth = options.auth || null;
+    this.now = _.isNumber(options.now) ? options.now : Date.now();
+    this.query = options.query || {};
+  }
+
+  variables(segments, bindings, oldRoot, newRoot) {
+    return _.assign({
+      auth: this.auth, now: this.now, query: this.query,
+      root: new RuleSnapshot(oldRoot, []),
+      data: new RuleSnapshot(oldRoot, segments),
+      newData: new RuleSnapshot(newRoot, segments)
+    }, bindings);
+  }
+
+  checkRule(kind, ruleNode, segments, ruleSegments, bindings, oldRoot, newRoot) {
+    if (!_.isPlainObject(ruleNode) || !_.has(ruleNode, kind)) return;
+    const expression = ruleNode[kind];
+    const result = evaluate(expression, this.variables(segments, bindings, oldRoot, newRoot));
+    return _.assign({
+      kind, expression: String(expression), path: formatPath(segments),
+      rulePath: formatPath(ruleSegments), bindings: _.clone(bindings)
+    }, result);
+  }
+
+  // Walks the rules down the given path, checking the given cascading rule kind at each level
+  // until one of them grants access.
+  checkAccess(kind, segments, oldRoot, newRoot) {
+    const evaluated = [];
+    const bindings = {}, ruleSegments = [];
+    let ruleNode = this.rules;
+    for (let i = 0; i <= segments.length; i++) {
+      const result = this.checkRule(
+        kind, ruleNode, segments.slice(0, i), ruleSegments, bindings, oldRoot, newRoot);
+      if (result) {
+        evaluated.push(result);
+        if (result.value) return {allowed: true, rule: result, evaluated};
+      }
+      if (i === segments.length) break;
+      const match = matchChild(ruleNode, segments[i]);
+      if (!match) break;
+      ruleNode = match.node;
+      ruleSegments.push(match.variable || segments[i]);
+      if (match.variable) bindings[match.variable] = segments[i];
+    }
+    return {allowed: false, rule: _.last(evaluated), evaluated};
+  }
+
+  // Collects all rule nodes that must pass validation for the given written paths:  every
+  // ancestor of each written path, and every descendant present in the new data.
+  collectValidations(writtenSegments, newRoot) {
+    const validations = {};
+    const visit = (ruleNode, segments, ruleSegments, bindings, descend) => {
+      const key = formatPath(segments);
+      if (!(key in validations)) {
+        validations[key] = {ruleNode, segments, ruleSegments, bindings};
+      }
+      if (!descend) return;
+      const value = getIn(newRoot, segments);
+      if (!_.isPlainObject(value)) return;
+      _.forEach(_.keys(value), childKey => {
+        const match = matchChild(ruleNode, childKey);
+        if (!match) return;
+        const childBindings =
+          match.variable ? _.assign({}, bindings, {[match.variable]: childKey}) : bindings;
+        visit(
+          match.node, segments.concat([childKey]),
+          ruleSegments.concat([match.variable || childKey]), childBindings, true);
+      });
+    };
+    _.forEach(writtenSegments, segments => {
+      let ruleNode = this.rules;
+      const bindings = {}, ruleSegments = [];
+      for (let i = 0; i <= segments.length; i++) {
+        visit(ruleNode, segments.slice(0, i), ruleSegments.slice(), _.clone(bindings),
+          i === segments.length);
+        if (i === segments.length) break;
+        const match = matchChild(ruleNode, segments[i]);
+        if (!match) break;
+        ruleNode = match.node;
+        ruleSegments.push(match.variable || segments[i]);
+        if (match.variable) bindings[match.variable] = segments[i];
+      }
+    });
+    return _.sortBy(_.values(validations), validation => validation.segments.length);
+  }
+
+  read(path) {
+    const segments = splitPath(path);
+    const access = this.checkAccess('.read', segments, this.data, this.data);
+    return {
+      type: 'read', path: formatPath(segments), allowed: access.allowed, rule: access.rule,
+      evaluated: access.evaluated,
+      reason: access.allowed ? 'granted' : 'no .read rule granted access'
+    };
+  }
+
+  write(path, value) {
+    const result = this.update({[formatPath(splitPath(path))]: value});
+    result.type = 'write';
+    return result;
+  }
+
+  update(values) {
+    const writes = _.map(values, (value, path) => ({segments: splitPath(path), value}));
+    let newRoot = this.data;
+    _.forEach(writes, write => {
+      newRoot = setIn(newRoot, write.segments, write.value);
+    });
+    const result = {
+      type: 'update', path: _.map(writes, write => formatPath(write.segments)).join(', '),
+      allowed: false, evaluated: []
+    };
+    const grants = [];
+    for (const write of writes) {
+      const access = this.checkAccess('.write', write.segments, this.data, newRoot);
+      result.evaluated.push(...access.evaluated);
+      if (!access.allowed) {
+        return _.assign(result, {
+          rule: access.rule,
+          reason: `no .write rule granted access to ${formatPath(write.segments)}`
+        });
+      }
+      grants.push(access.rule);
+    }
+    const validations = this.collectValidations(_.map(writes, 'segments'), newRoot);
+    for (const validation of validations) {
+      if (getIn(newRoot, validation.segments) === null) continue;
+      const check = this.checkRule(
+        '.validate', validation.ruleNode, validation.segments, validation.ruleSegments,
+        validation.bindings, this.data, newRoot);
+      if (!check) continue;
+      result.evaluated.push(check);
+      if (!check.value) {
+        const rejectedByOther = _.last(validation.ruleSegments) === '$other';
+        return _.assign(result, {
+          rule: check,
+          reason: rejectedByOther ?
+            `unexpected child ${check.path} rejected by $other` :
+            `.validate failed at ${check.path}`
+        });
+      }
+    }
+    return _.assign(result, {allowed: true, rule: grants[0], grants, reason: 'granted'});
+  }
+}
+
+
+exports.Simulator = Simulator;
+exports.RuleSnapshot = RuleSnapshot;
+exports.evaluate = evaluate;
+exports.matchChild = matchChild;
+exports.normalizeData = normalizeData;
+exports.splitPath = splitPath;
+exports.formatPath = formatPath;
+
+exports.simulate = function(rules, options) {
+  options = options || {};
+  const simulator = new Simulator(rules, options);
+  if (options.read !== undefined) return simulator.read(options.read);
+  if (options.write !== undefined) return simulator.write(options.write, options.value);
+  if (options.update !== undefined) return simulator.update(options.update);
+  throw new Error('Simulation requires a read, write or update operation');
+};
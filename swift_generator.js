@@ -0,0 +1,140 @@
+'use strict';
+
+const _ = require('lodash');
+
+const PRIMITIVES = {string: 'String', number: 'Double', boolean: 'Bool'};
+const KEYWORDS = [
+  'Any', 'Self', 'as', 'associatedtype', 'break', 'case', 'catch', 'class', 'continue', 'default',
+  'defer', 'deinit', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate',
+  'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is', 'let', 'nil',
+  'operator', 'private', 'protocol', 'public', 'repeat', 'rethrows', 'return', 'self', 'static',
+  'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'typealias', 'var',
+  'where', 'while'
+];
+
+// Holds values of any shape, for children declared as any.
+const JSON_VALUE = `enum JSONValue: Codable, Equatable {
+  case string(String)
+  case number(Double)
+  case bool(Bool)
+  case object([String: JSONValue])
+  case array([JSONValue])
+  case null
+
+  init(from decoder: Decoder) throws {
+    let container = try decoder.singleValueContainer()
+    if container.decodeNil() {
+      self = .null
+    } else if let value = try? container.decode(Bool.self) {
+      self = .bool(value)
+    } else if let value = try? container.decode(Double.self) {
+      self = .number(value)
+    } else if let value = try? container.decode(String.self) {
+      self = .string(value)
+    } else if let value = try? container.decode([JSONValue].self) {
+      self = .array(value)
+    } else {
+      self = .object(try container.decode([String: JSONValue].self))
+    }
+  }
+
+  func encode(to encoder: Encoder) throws {
+    var container = encoder.singleValueContainer()
+    switch self {
+    case .string(let value): try container.encode(value)
+    case .number(let value): try container.encode(value)
+    case .bool(let value): try container.encode(value)
+    case .object(let value): try container.encode(value)
+    case .array(let value): try container.encode(value)
+    case .null: try container.encodeNil()
+    }
+  }
+}`;
+
+
+function identifier(name) {
+  if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+    return _.includes(KEYWORDS, name) ? `\`${name}\`` : name;
+  }
+  const camel = _.camelCase(name);
+  return /^[a-zA-Z_]/.test(camel) ? camel : `_${camel}`;
+}
+
+
+// Generates Swift Codable structs, with a CodingKeys enum wherever a key isn't a valid identifier.
+class SwiftGenerator {
+  constructor(model) {
+    this.model = model;
+    this.usesJsonValue = false;
+  }
+
+  generate() {
+    const declarations = _.map(this.model.types, node =>
+      node.kind === 'object' ? this.struct(node) : this.enumeration(node));
+    if (!_.includes(this.model.types, this.model.root)) {
+      declarations.push(`typealias FirebaseData = ${this.type(this.model.root)}`);
+    }
+    if (this.usesJsonValue) declarations.push(JSON_VALUE);
+    return [
+      '// Generated by fireplan. Do not edit directly.',
+      '',
+      'import Foundation',
+      '',
+      declarations.join('\n\n'),
+      ''
+    ].join('\n');
+  }
+
+  struct(node) {
+    const lines = [];
+    if (node.moreAllowed) lines.push('/// Also accepts undeclared children.');
+    lines.push(`struct ${node.name}: Codable {`);
+    const codingKeys = [];
+    _.forEach(node.entries, entry => {
+      const type = this.type(entry.node);
+      const optional = !entry.required || entry.node.nullable || type === 'JSONValue';
+      const name = identifier(entry.name);
+      lines.push(`  var ${name}: ${type}${optional ? '?' : ''}`);
+      codingKeys.push(_.trim(name, '`') === entry.name ?
+        `    case ${name}` : `    case ${name} = ${JSON.stringify(entry.name)}`);
+    });
+    if (_.some(codingKeys, key => _.includes(key, '='))) {
+      lines.push('', '  enum CodingKeys: String, CodingKey {', ...codingKeys, '  }');
+    }
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  enumeration(node) {
+    return [
+      `enum ${node.name}: String, Codable {`,
+      ..._.map(node.literals, literal => {
+        const name = identifier(literal);
+        return _.trim(name, '`') === literal ?
+          `  case ${name}` : `  case ${name} = ${JSON.stringify(literal)}`;
+      }),
+      '}'
+    ].join('\n');
+  }
+
+  type(node) {
+    if (node.kind === 'object') {
+      const wildcardEntry = _.find(node.entries, 'wildcard');
+      if (!wildcardEntry) return node.name;
+      if (node.moreAllowed) {
+        this.usesJsonValue = true;
+        return '[String: JSONValue]';
+      }
+      return `[String: ${this.type(wildcardEntry.node)}]`;
+    }
+    if (node.name) return node.name;
+    if (PRIMITIVES[node.primitive]) return PRIMITIVES[node.primitive];
+    this.usesJsonValue = true;
+    return 'JSONValue';
+  }
+}
+
+
+exports.generate = function(model) {
+  return new SwiftGenerator(model).generate();
+};
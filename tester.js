@@ -0,0 +1,135 @@
+'use strict';
+
+const _ = require('lodash');
+const {Simulator, splitPath, formatPath} = require('./simulator');
+const {expandTypes} = require('./type_expander');
+
+const OPERATIONS = ['read', 'write', 'update'];
+
+
+class TestRunner {
+  constructor(source, rules) {
+    this.source = expandTypes(source);
+    this.rules = rules;
+    this.refs = {};
+    this.collectRefs(source.root || {}, []);
+  }
+
+  collectRefs(yaml, segments) {
+    if (!_.isPlainObject(yaml)) return;
+    if ('.ref' in yaml) {
+      const name = yaml['.ref'];
+      this.refs[name] = name in this.refs ? null : segments;
+    }
+    _.forEach(yaml, (value, key) => {
+      if (key.charAt(0) === '.') return;
+      this.collectRefs(value, segments.concat([key.replace(/\/.*/, '')]));
+    });
+  }
+
+  resolvePath(path, params) {
+    let segments = splitPath(path);
+    if (segments.length && segments[0] in this.refs) {
+      const refSegments = this.refs[segments[0]];
+      if (!refSegments) throw new Error(`Ambiguous ref in path: ${segments[0]}`);
+      segments = refSegments.concat(segments.slice(1));
+    }
+    return _.map(segments, segment => {
+      if (segment.charAt(0) !== '$') return segment;
+      const value = params[segment] ?? params[segment.slice(1)];
+      if (value === undefined) throw new Error(`Unbound wildcard ${segment} in path: ${path}`);
+      return String(value);
+    });
+  }
+
+  run(testCase, index) {
+    const name = testCase.name || `test #${index + 1}`;
+    const result = {name, expected: testCase.expect};
+    try {
+      if (testCase.expect !== 'allow' && testCase.expect !== 'deny') {
+        throw new Error('Test must expect either allow or deny');
+      }
+      const operations = _.filter(OPERATIONS, operation => operation in testCase);
+      if (operations.length !== 1) {
+        throw new Error('Test must specify exactly one of read, write or update');
+      }
+      const params = testCase.params || {};
+      const simulator = new Simulator(this.rules, {
+        data: testCase.data, auth: testCase.auth, now: testCase.now, query: testCase.query
+      });
+      let outcome;
+      switch (operations[0]) {
+        case 'read':
+          outcome = simulator.read(this.resolvePath(testCase.read, params));
+          break;
+        case 'write':
+          outcome = simulator.write(
+            this.resolvePath(testCase.write, params), testCase.value ?? null);
+          break;
+        case 'update':
+          outcome = simulator.update(_.mapKeys(
+            testCase.update, (value, path) => formatPath(this.resolvePath(path, params))));
+          break;
+      }
+      result.actual = outcome.allowed ? 'allow' : 'deny';
+      result.outcome = outcome;
+      result.rule = outcome.rule && this.describeRule(outcome.rule);
+    } catch (e) {
+      result.actual = 'error';
+      result.error = e.message;
+    }
+    result.passed = result.actual === result.expected;
+    return result;
+  }
+
+  // Maps a rule reported by the simulator back to the YAML it was compiled from.
+  describeRule(rule) {
+    const ruleSegments = splitPath(rule.rulePath);
+    let yaml = this.source.root;
+    let yamlPath = 'root';
+    for (const segment of ruleSegments) {
+      const key = _.isPlainObject(yaml) &&
+        _.find(_.keys(yaml), name => name.replace(/\/.*/, '') === segment);
+      yamlPath += segment.charAt(0) === '$' ? `[${segment}]` : `.${segment}`;
+      if (!key) {
+        if (segment === '$other') {
+          return `${yamlPath} (undeclared child; add .more: true to the parent to allow it)`;
+        }
+        return `${yamlPath} ${rule.kind}: ${rule.expression}`;
+      }
+      yaml = yaml[key];
+    }
+    if (_.isString(yaml)) return `${yamlPath}: ${yaml}`;
+    if (rule.kind === '.validate') {
+      return `${yamlPath} .value: ${_.isPlainObject(yaml) && yaml['.value'] || rule.expression}`;
+    }
+    if (_.isPlainObject(yaml) && '.read/write' in yaml) {
+      return `${yamlPath} .read/write: ${yaml['.read/write']}`;
+    }
+    return `${yamlPath} ${rule.kind}: ${_.isPlainObject(yaml) && yaml[rule.kind]}`;
+  }
+}
+
+
+exports.runTests = function(source, rules, cases) {
+  const runner = new TestRunner(source, rules);
+  return _.map(cases, (testCase, index) => runner.run(testCase, index));
+};
+
+exports.formatResults = function(results) {
+  const lines = [];
+  _.forEach(results, result => {
+    lines.push(`${result.passed ? 'PASS' : 'FAIL'} ${result.name}`);
+    if (result.passed) return;
+    lines.push(`    - expected: ${result.expected}`);
+    lines.push(`    + actual:   ${result.actual}`);
+    if (result.error) lines.push(`    ${result.error}`);
+    if (result.outcome) {
+      lines.push(`    ${result.outcome.type} ${result.outcome.path}: ${result.outcome.reason}`);
+    }
+    if (result.rule) lines.push(`    rule: ${result.rule}`);
+  });
+  const failed = _.filter(results, {passed: false}).length;
+  lines.push(`${results.length - failed} passed, ${failed} failed`);
+  return lines.join('\n');
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+const _ = require('lodash');
+const {locationOf, formatLocation, cloneSource} = require('./loader');
+
+const KEYWORDS_REGEX = /^\s*((required|indexed|encrypted(\[.*?\])?)(\s+|$))*/;
+const BUILTIN_TYPES = ['string', 'number', 'boolean', 'any', 'oneOf', 'is'];
+
+const typeNames = new WeakMap();
+const expanded = new WeakSet();
+
+
+// Splits a comma-separated argument list, ignoring commas nested in brackets or strings.
+function splitArgs(text) {
+  const args = [];
+  let depth = 0, quote = null, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charAt(i);
+    if (quote) {
+      if (char === '\\') i++; else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && !depth) {
+      args.push(_.trim(text.slice(start, i)));
+      start = i + 1;
+    }
+  }
+  if (_.trim(text)) args.push(_.trim(text.slice(start)));
+  return args;
+}
+
+// Copies a branch along with the type names of the objects in it.
+function copyBranch(yaml) {
+  const copy = cloneSource(yaml);
+  const copyNames = (original, copied) => {
+    if (!_.isPlainObject(original)) return;
+    if (typeNames.has(original)) typeNames.set(copied, typeNames.get(original));
+    _.forEach(original, (value, key) => copyNames(value, copied[key]));
+  };
+  copyNames(yaml, copy);
+  return copy;
+}
+
+function locate(e, location) {
+  if (e.location || !location) return;
+  e.reason = e.message;
+  e.message += ` (in ${formatLocation(location)})`;
+  e.location = location;
+}
+
+
+// Replaces references to the object types declared in the types: section with copies of their
+// definitions, so that the rest of the compiler only ever sees plain YAML branches.
+class TypeExpander {
+  constructor(source, options) {
+    this.source = source;
+    // When given, errors in individual types are passed to it instead of thrown.
+    this.onError = options && options.onError;
+    this.types = {};
+    this.stack = [];
+  }
+
+  report(e) {
+    if (!this.onError) throw e;
+    this.onError(e);
+  }
+
+  expand() {
+    this.defineTypes();
+    if (_.isEmpty(this.types) || !_.isPlainObject(this.source.root)) return;
+    // Expand types without parameters in place, so that anchors pointing at them keep working.
+    _.forEach(this.types, (type, name) => {
+      if (type.params.length) return;
+      this.stack.push(`${name}()`);
+      try {
+        this.expandBranch(type.body, {}, type.location);
+        typeNames.set(type.body, name);
+      } catch (e) {
+        delete this.types[name];
+        this.report(e);
+      } finally {
+        this.stack.pop();
+      }
+    });
+    this.source.root = this.expandBranch(this.source.root, {});
+  }
+
+  defineTypes() {
+    if (!_.isPlainObject(this.source.types)) return;
+    const functions = new Set();
+    _.forEach(this.source.functions, definition => {
+      _.forEach(definition, (body, signature) => {
+        functions.add(_.trim(signature.replace(/\(.*/, '')));
+      });
+    });
+    _.forEach(this.source.types, (body, signature) => {
+      // Entries that can't be types just hold anchors, as they did before types were supported.
+      if (!_.isPlainObject(body)) return;
+      const match = signature.match(/^\s*(\w+)\s*(?:\((.*?)\))?\s*$/);
+      const params = match && _.compact(_.map((match[2] || '').split(','), _.trim));
+      if (!match || !_.every(params, param => /^[a-zA-Z_]\w*$/.test(param))) return;
+      const name = match[1];
+      if (_.includes(BUILTIN_TYPES, name) || functions.has(name)) return;
+      const location = locationOf(this.source.types, signature);
+      if (name in this.types) {
+        const e = new Error('Duplicate type definition: ' + name);
+        locate(e, location);
+        this.report(e);
+        return;
+      }
+      this.types[name] = {signature, params, body, location};
+    });
+  }
+
+  // Resolves a child value:  a type parameter, a type reference like list(User), or anything else,
+  // which is returned unchanged.  Keywords in front of a type are merged into its .value.
+  resolve(value, params, location) {
+    if (!_.isString(value)) return value;
+    const keywords = _.trim(value.match(KEYWORDS_REGEX)[0]);
+    const expression = _.trim(value.slice(value.match(KEYWORDS_REGEX)[0].length));
+    let result;
+    if (_.has(params, expression)) {
+      result = _.isPlainObject(params[expression]) ?
+        copyBranch(params[expression]) : params[expression];
+    } else {
+      const match = expression.match(/^(\w+)\s*(?:\(([\s\S]*)\))?$/);
+      if (!match || !this.types[match[1]]) return value;
+      const args = _.map(splitArgs(match[2] || ''), arg => this.resolve(arg, params, location));
+      result = this.instantiate(match[1], args, location);
+    }
+    if (!keywords) return result;
+    if (_.isPlainObject(result)) {
+      result['.value'] = _.trim(`${keywords} ${result['.value'] || ''}`);
+      return result;
+    }
+    return `${keywords} ${result}`;
+  }
+
+  instantiate(name, args, location) {
+    const type = this.types[name];
+    const key = `${name}(${_.map(args, arg => _.isString(arg) ? arg : '{...}').join(', ')})`;
+    try {
+      if (args.length !== type.params.length) {
+        throw new Error(
+          `Type ${name} takes ${type.params.length} arguments but was given ${args.length}`);
+      }
+      if (_.includes(this.stack, key)) {
+        throw new Error('Recursive type: ' + this.stack.concat([key]).join(' -> '));
+      }
+    } catch (e) {
+      locate(e, location);
+      throw e;
+    }
+    this.stack.push(key);
+    try {
+      const result = this.expandBranch(
+        copyBranch(type.body), _.zipObject(type.params, args), type.location);
+      if (!args.length) typeNames.set(result, name);
+      return result;
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  expandBranch(yaml, params, location) {
+    _.forEach(_.keys(yaml), key => {
+      if (key.charAt(0) === '.') return;
+      const childLocation = locationOf(yaml, key) || location;
+      const value = this.resolve(yaml[key], params, childLocation);
+      yaml[key] = _.isPlainObject(value) && value === yaml[key] ?
+        this.expandBranch(value, params, childLocation) : value;
+    });
+    if (!('.extends' in yaml)) return yaml;
+    const extendsLocation = locationOf(yaml, '.extends') || location;
+    const base = this.resolve(yaml['.extends'], params, extendsLocation);
+    if (!_.isPlainObject(base)) {
+      const e = new Error(`.extends must name an object type: ${yaml['.extends']}`);
+      locate(e, extendsLocation);
+      throw e;
+    }
+    delete yaml['.extends'];
+    // Keep the base's children first, so generated types list inherited properties first.
+    const nameOf = key => key.charAt(0) === '.' ? key : key.replace(/\/.*/, '');
+    const own = _.clone(yaml);
+    const ownNames = _.map(_.keys(own), nameOf);
+    _.forEach(_.keys(yaml), key => delete yaml[key]);
+    _.forEach(base, (value, key) => {
+      if (!_.includes(ownNames, nameOf(key))) yaml[key] = value;
+    });
+    return _.assign(yaml, own);
+  }
+}
+
+
+exports.typeNameOf = function(object) {
+  return _.isObject(object) ? typeNames.get(object) : undefined;
+};
+
+exports.expandTypes = function(source, options) {
+  if (!_.isPlainObject(source) || expanded.has(source)) return source;
+  expanded.add(source);
+  new TypeExpander(source, options).expand();
+  return source;
+};
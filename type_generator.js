@@ -2,10 +2,76 @@
 
 const _ = require('lodash');
 const esprima = require('esprima');
+const {anchorOf} = require('./loader');
+const {expandTypes, typeNameOf} = require('./type_expander');
+const library = require('./library');
+
+// Looks up value types by path.  Placeholder segments like {uid} don't name any declared child, so
+// they resolve through the index signature of wildcard collections just like real keys do.
+const PATH_TYPES = `export type ValueAt<P extends string> =
+  P extends '' | '/' ? FirebaseData :
+  P extends \`/\${infer Rest}\` ? Descend<FirebaseData, Rest> :
+  Descend<FirebaseData, P>
+
+type Descend<T, P extends string> =
+  P extends \`\${infer Head}/\${infer Rest}\` ? Descend<Child<T, Head>, Rest> : Child<T, P>
+
+type Child<T, K extends string> =
+  T extends object ?
+    K extends keyof T ? Exclude<T[K], undefined> :
+    string extends keyof T ? Exclude<T[string & keyof T], undefined> :
+    never :
+  never
+
+export type PathValue<P extends PathTemplate> = ValueAt<P>
+
+// A multi-path update, checked against the schema:  update<T extends Update<T>>(values: T).
+export type Update<T> = {
+  [P in keyof T]: P extends string ?
+    [ValueAt<P>] extends [never] ? never : ValueAt<P> | null :
+    never
+}
+`;
+
+function typeName(name) {
+  return _.upperFirst(_.camelCase(name));
+}
+
+// Describes a TypeScript type string in language-neutral terms, for the schema model.
+function describeType(type) {
+  const parts = _.map(String(type).split('|'), _.trim);
+  const nullable = _.includes(parts, 'null');
+  const rest = _.without(parts, 'null');
+  const literals = _.map(rest, part => {
+    try {
+      const value = JSON.parse(part);
+      return _.isObject(value) ? undefined : value;
+    } catch {
+      return undefined;
+    }
+  });
+  const description = {nullable};
+  if (rest.length && _.every(literals, literal => literal !== undefined)) {
+    description.literals = literals;
+    const primitives = _.uniq(_.map(literals, literal => typeof literal));
+    description.primitive = primitives.length === 1 ? primitives[0] : 'any';
+  } else if (rest.length === 1 && /^(string|number|boolean|any)$/.test(rest[0])) {
+    description.primitive = rest[0];
+  } else {
+    description.primitive = rest.length > 1 ? 'any' : 'unknown';
+  }
+  return description;
+}
+
+function singular(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/(s|x|ch|sh)es$/.test(name)) return name.replace(/es$/, '');
+  if (/[^s]s$/.test(name)) return name.replace(/s$/, '');
+}
 
 class TypeGenerator {
   constructor(source) {
-    this.source = source;
+    this.source = expandTypes(source);
     this.functionTypes = {
       string: 'string',
       number: 'number',
@@ -14,7 +80,49 @@ class TypeGenerator {
     };
     this.functionDefinitions = {};
     this.loadFunctionDefinitions();
+    _.forEach(library.TYPES, (type, name) => {
+      if (!this.functionDefinitions[name]) this.functionTypes[name] = type;
+    });
     this.resolveFunctionTypes();
+    this.typeNames = new Map();
+    this.nameTypes();
+  }
+
+  // Picks names for the object types that should be emitted as interfaces:  entries of the types:
+  // section, anchored objects and .ref branches first, then the items of wildcard collections.
+  // Every copy of a declared type shares its name.
+  nameTypes() {
+    const explicit = [], implicit = [];
+    const visited = new Set();
+    const visit = (yaml, key, parentKey) => {
+      if (!_.isPlainObject(yaml) || visited.has(yaml)) return;
+      visited.add(yaml);
+      if (typeNameOf(yaml)) explicit.push([yaml, typeNameOf(yaml)]);
+      if (anchorOf(yaml)) explicit.push([yaml, anchorOf(yaml)]);
+      if (_.isString(yaml['.ref'])) explicit.push([yaml, yaml['.ref']]);
+      if (key && key.charAt(0) === '$') {
+        implicit.push([yaml, parentKey && singular(parentKey) || this.wildcardName(key.slice(1))]);
+      }
+      _.forEach(yaml, (value, childKey) => {
+        if (childKey.charAt(0) !== '.') visit(value, childKey.replace(/\/.*/, ''), key);
+      });
+    };
+    _.forEach(this.source.types, (value, key) => {
+      if (!_.includes(key, '(')) visit(value, key);
+    });
+    visit(this.source.root);
+    const owners = new Map([['FirebaseData', null]]);
+    _.forEach(explicit.concat(implicit), ([yaml, name]) => {
+      if (this.typeNames.has(yaml) || !_.some(_.keys(yaml), key => key.charAt(0) !== '.')) return;
+      const owner = typeNameOf(yaml) || yaml;
+      name = typeName(name);
+      if (!/^[A-Za-z_$]/.test(name)) name = `Type${name}`;
+      let suffix = 1;
+      const candidate = () => suffix > 1 ? name + suffix : name;
+      while (owners.has(candidate()) && owners.get(candidate()) !== owner) suffix++;
+      owners.set(candidate(), owner);
+      this.typeNames.set(yaml, candidate());
+    });
   }
 
   loadFunctionDefinitions() {
@@ -71,12 +179,27 @@ class TypeGenerator {
   }
 
   inferSingleExpressionType(expression) {
+    const conjuncts = this.disjunctionParts(expression, '&&');
+    if (conjuncts.length > 1) {
+      return _(conjuncts)
+        .map(part => this.disjunctionType(part) || this.inferSingleExpressionType(part))
+        .find(type => type && type !== 'unknown');
+    }
     return this.literalConstraintType(expression) ??
+      this.nullableType(expression) ??
       this.resolveFunctionReferenceType(expression);
   }
 
-  disjunctionParts(expression) {
-    if (!_.isString(expression) || !_.includes(expression, '||')) return [expression];
+  nullableType(expression) {
+    if (this.functionDefinitions.nullable) return;
+    const match = expression.match(/^\s*nullable\s*\(([\s\S]*)\)\s*$/);
+    if (!match) return;
+    const type = this.inferExpressionType(match[1]);
+    return type === 'unknown' ? type : `${type} | null`;
+  }
+
+  disjunctionParts(expression, operator = '||') {
+    if (!_.isString(expression) || !_.includes(expression, operator)) return [expression];
 
     let parsed;
     try {
@@ -91,29 +214,62 @@ class TypeGenerator {
     const stack = [parsed.body[0].expression];
     while (stack.length) {
       const node = stack.pop();
-      if (node.type === 'LogicalExpression' && node.operator === '||') {
+      if (node.type === 'LogicalExpression' && node.operator === operator) {
         stack.push(node.right);
         stack.push(node.left);
         continue;
       }
-      if (!node.range) return _.map(expression.split('||'), _.trim);
+      if (!node.range) return _.map(expression.split(operator), _.trim);
       parts.push(_.trim(expression.slice(node.range[0], node.range[1])));
     }
     return parts;
   }
 
   generate() {
-    const root = this.toNode(this.source.root || {});
+    this.declarations = new Map();
+    _.forEach(this.source.types, (value, key) => {
+      if (_.includes(key, '(')) return;
+      const node = this.toNode(value);
+      if (node.name) this.declare(node);
+    });
+    const rootNode = this.toNode(this.source.root || {});
+    const root = this.typeString(rootNode, 0, true);
     return [
       '// Generated by fireplan. Do not edit directly.',
       '',
-      `export type FirebaseData = ${this.typeString(root, 0)}`,
-      ''
+      ..._.flatMap(Array.from(this.declarations.values()), declaration => [declaration, '']),
+      `export type FirebaseData = ${root}`,
+      '',
+      'export type PathTemplate =',
+      _.map(this.pathTemplates(rootNode, ''), path => `  | ${JSON.stringify(path)}`).join('\n'),
+      '',
+      PATH_TYPES
     ].join('\n');
   }
 
-  typeString(node, indent) {
+  // Lists the path of every declared node, with wildcard segments written as {placeholders}.
+  pathTemplates(node, path) {
+    const paths = [path || '/'];
+    if (node.kind !== 'object') return paths;
+    _.forEach(node.entries, entry => {
+      const segment = entry.wildcard ? `{${entry.name.slice(1)}}` : entry.name;
+      paths.push(...this.pathTemplates(entry.node, `${path}/${segment}`));
+    });
+    return paths;
+  }
+
+  declare(node) {
+    if (!this.declarations.has(node.name)) {
+      this.declarations.set(node.name, null);
+      this.declarations.set(
+        node.name, `export interface ${node.name} ${this.typeString(node, 0, true)}`);
+    }
+    return node.name;
+  }
+
+  typeString(node, indent, inline) {
     if (node.kind !== 'object') return node.type;
+    if (node.name && !inline) return this.declare(node);
     const wildcardEntry = _.find(node.entries, {wildcard: true});
     const keepStaticEntries = !wildcardEntry || node.moreAllowed;
     const rows = ['{'];
@@ -133,24 +289,33 @@ class TypeGenerator {
     return rows.join('\n');
   }
 
+  // Converts a branch of the rules into the schema model shared by all the generators.  Leaves are
+  // {kind: 'leaf', type, primitive, nullable, literals?, expression?}, where type is the TypeScript
+  // type, primitive one of string, number, boolean, any or unknown, and literals the values allowed
+  // by oneOf or is.  Objects are {kind: 'object', name?, moreAllowed, expression, entries}, with an
+  // entry {key, name, wildcard, required, node} for each child;  a wildcard entry makes the object
+  // a map from keys to its node.  Expressions have keywords like required stripped.
   toNode(yaml) {
     if (_.isString(yaml)) return this.fromConstraint(yaml);
-    if (!_.isObject(yaml) || _.isArray(yaml)) return {kind: 'leaf', type: 'unknown'};
+    if (!_.isObject(yaml) || _.isArray(yaml)) return this.leafNode('unknown');
     const childKeys = _.filter(_.keys(yaml), key => key.charAt(0) !== '.');
     if (!childKeys.length) {
       if ('.value' in yaml) return this.fromConstraint(yaml['.value']);
-      if (yaml['.more']) return {kind: 'leaf', type: 'any'};
-      return {kind: 'leaf', type: 'unknown'};
+      if (yaml['.more']) return this.leafNode('any');
+      return this.leafNode('unknown');
     }
     return {
       kind: 'object',
+      name: this.typeNames.get(yaml),
       moreAllowed: yaml['.more'] === true,
+      expression: this.parseConstraint(yaml['.value']).expression,
       entries: _.map(childKeys, key => {
         const value = yaml[key];
         const constraint = _.isString(value) ? value : value && value['.value'];
         const wildcard = key.charAt(0) === '$';
         return {
           key: wildcard ? this.wildcardName(key.slice(1)) : this.propertyName(key),
+          name: key.replace(/\/.*/, ''),
           wildcard,
           required: wildcard || this.isRequired(constraint),
           node: this.toNode(value)
@@ -188,9 +353,58 @@ class TypeGenerator {
   }
 
   fromConstraint(constraint) {
-    if (!_.isString(constraint)) return {kind: 'leaf', type: 'unknown'};
+    if (!_.isString(constraint)) return this.leafNode('unknown');
     const inferredType = this.inferExpressionType(constraint);
-    return {kind: 'leaf', type: inferredType || 'unknown'};
+    return this.leafNode(inferredType || 'unknown', this.parseConstraint(constraint).expression);
+  }
+
+  leafNode(type, expression) {
+    const node = _.assign({kind: 'leaf', type}, describeType(type));
+    if (expression !== undefined) node.expression = expression;
+    return node;
+  }
+
+  // Returns the schema model of the whole tree for generators of other languages:  the root node,
+  // named FirebaseData, and a list of the distinct object and string enum types in it, each given a
+  // unique name.  Types that don't have a name of their own are named after their parent and key.
+  // Maps aren't listed, since they're written inline as a map of their wildcard entry's type.
+  model() {
+    const root = this.toNode(this.source.root || {});
+    root.name = 'FirebaseData';
+    const taken = new Set();
+    const collectNames = node => {
+      if (node.name) taken.add(node.name);
+      _.forEach(node.entries, entry => collectNames(entry.node));
+    };
+    collectNames(root);
+    const types = [], declared = new Set();
+    const uniqueName = name => {
+      let suffix = 1;
+      const candidate = () => suffix > 1 ? name + suffix : name;
+      while (taken.has(candidate())) suffix++;
+      taken.add(candidate());
+      return candidate();
+    };
+    const visit = (node, name) => {
+      const isEnum = node.literals && node.primitive === 'string';
+      if (node.kind !== 'object' && !isEnum) return;
+      if (node.name && declared.has(node.name)) return;
+      const wildcardEntry = _.find(node.entries, 'wildcard');
+      if (!wildcardEntry) {
+        node.name = node.name || uniqueName(name);
+        declared.add(node.name);
+        types.push(node);
+      }
+      _.forEach(node.entries, entry => {
+        if (entry.wildcard) {
+          visit(entry.node, singular(name) || `${name}Item`);
+        } else if (!wildcardEntry) {
+          visit(entry.node, (node.name || name) + typeName(entry.name));
+        }
+      });
+    };
+    visit(root, 'FirebaseData');
+    return {root, types};
   }
 
   resolveFunctionReferenceType(expression) {
@@ -225,6 +439,12 @@ class TypeGenerator {
   }
 }
 
+exports.TypeGenerator = TypeGenerator;
+
+exports.buildModel = function(source) {
+  return new TypeGenerator(source).model();
+};
+
 exports.generateTypes = function(source) {
   return new TypeGenerator(source).generate();
 };
@@ -0,0 +1,323 @@
+'use strict';
+
+const _ = require('lodash');
+const esprima = require('esprima');
+const escodegen = require('escodegen');
+const estraverse = require('estraverse');
+const {TypeGenerator} = require('./type_generator');
+const library = require('./library');
+
+const TYPES = {string: 'string', number: 'number', boolean: 'boolean'};
+const TYPE_CHECKS = {isString: 'string', isNumber: 'number', isBoolean: 'boolean'};
+const STRING_METHODS = {
+  contains: 'includes', beginsWith: 'startsWith', endsWith: 'endsWith',
+  toLowerCase: 'toLowerCase', toUpperCase: 'toUpperCase'
+};
+const OPERATORS = {'==': '===', '!=': '!==', '===': '===', '!==': '!=='};
+
+
+// Thrown for conditions that can only be checked by Firebase itself.
+class ServerOnly extends Error {}
+
+function generate(ast) {
+  return escodegen.generate(ast, {format: {semicolons: false, newline: ' ', indent: {style: ''}}});
+}
+
+function flatten(node) {
+  if (node.type !== 'LogicalExpression' || node.operator !== '&&') return [node];
+  return flatten(node.left).concat(flatten(node.right));
+}
+
+
+class ValidatorGenerator {
+  constructor(source, options) {
+    this.source = source;
+    this.typescript = !!(options && options.typescript);
+    this.types = new TypeGenerator(source);
+    this.functions = {};
+    const define = (definitions, isLibrary) => _.forEach(definitions, definition => {
+      _.forEach(definition, (body, signature) => {
+        const match = signature.match(/^\s*(\w+)\s*(?:\((.*?)\))?\s*$/);
+        if (!match || isLibrary && this.functions[match[1]]) return;
+        this.functions[match[1]] = {
+          args: _.compact(_.map((match[2] || '').split(','), _.trim)), body: String(body),
+          library: isLibrary
+        };
+      });
+    });
+    define(source.functions || [], false);
+    define(library.FUNCTIONS, true);
+    this.serverOnly = {};
+  }
+
+  generate() {
+    const schema = this.schemaNode(this.types.toNode(this.source.root || {}), '', 0);
+    const t = annotation => this.typescript ? annotation : '';
+    return [
+      '// Generated by fireplan. Do not edit directly.',
+      '',
+      ...this.typescript ?
+        ['export interface ValidationError {\n  path: string;\n  message: string;\n}', ''] : [],
+      `const schema${t(': any')} = ${schema};`,
+      '',
+      `export const serverOnly${t(': {[path: string]: string[]}')} = ` +
+        `${JSON.stringify(this.serverOnly, null, 2)};`,
+      '',
+      `const hasOwn = (object${t(': any')}, key${t(': string')}) =>`,
+      '  Object.prototype.hasOwnProperty.call(object, key);',
+      '',
+      `function child(value${t(': any')}, key${t(': any')}) {`,
+      '  return value !== null && typeof value === \'object\' && hasOwn(value, String(key)) ?',
+      '    value[key] : null;',
+      '}',
+      '',
+      `function hasChildren(value${t(': any')}, keys${t('?: string[]')}) {`,
+      '  if (value === null || typeof value !== \'object\') return false;',
+      '  return !keys || keys.every(key => child(value, key) !== null);',
+      '}',
+      '',
+      `function join(path${t(': string')}, key${t(': string')}) {`,
+      '  return path === \'/\' ? `/${key}` : `${path}/${key}`;',
+      '}',
+      '',
+      `function childNode(node${t(': any')}, key${t(': string')}) {`,
+      '  return node.children && hasOwn(node.children, key) ? node.children[key] : node.wildcard;',
+      '}',
+      '',
+      'function check(',
+      `  node${t(': any')}, value${t(': any')}, path${t(': string')}, ` +
+        `vars${t(': any')}, errors${t(': ValidationError[]')}`,
+      ') {',
+      '  // Firebase treats empty objects like null, and doesn\'t validate deletions.',
+      '  if (value === null || value === undefined) return;',
+      '  if (typeof value === \'object\' && !Object.keys(value).length) return;',
+      '  for (const [test, message] of node.checks || []) {',
+      '    let passed = false;',
+      '    try {',
+      '      passed = test(value, vars) === true;',
+      '    } catch (e) {',
+      '      // A condition that fails to evaluate rejects the value, just like in Firebase.',
+      '    }',
+      '    if (!passed) errors.push({path, message});',
+      '  }',
+      '  for (const key of node.required || []) {',
+      '    if (child(value, key) === null) errors.push({path: join(path, key), message: ' +
+        '\'is required\'});',
+      '  }',
+      '  if (typeof value !== \'object\') return;',
+      '  for (const key of Object.keys(value)) {',
+      '    const next = childNode(node, key);',
+      '    if (next) {',
+      '      const nextVars = next === node.wildcard ? {...vars, [node.variable]: key} : vars;',
+      '      check(next, value[key], join(path, key), nextVars, errors);',
+      '    } else if (!node.more) {',
+      '      errors.push({path: join(path, key), message: \'is not allowed by the schema\'});',
+      '    }',
+      '  }',
+      '}',
+      '',
+      '// Checks a value about to be written at the given path, returning a list of errors that',
+      '// is empty if the value is valid.  Conditions listed in serverOnly are not checked.',
+      `export function validate(path${t(': string')}, value${t(': unknown')})` +
+        `${t(': ValidationError[]')} {`,
+      `  const errors${t(': ValidationError[]')} = [];`,
+      `  let node = schema, vars${t(': any')} = {}, current = '';`,
+      '  for (const key of path.split(\'/\').filter(Boolean)) {',
+      '    current += `/${key}`;',
+      '    const next = childNode(node, key);',
+      '    if (!next) {',
+      '      if (!node.more) {',
+      '        errors.push({path: current, message: \'is not allowed by the schema\'});',
+      '      }',
+      '      return errors;',
+      '    }',
+      '    if (next === node.wildcard) vars = {...vars, [node.variable]: key};',
+      '    node = next;',
+      '  }',
+      '  check(node, value, current || \'/\', vars, errors);',
+      '  return errors;',
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  schemaNode(node, path, indent) {
+    const properties = [];
+    const expression = node.expression;
+    const more = node.kind === 'object' ? node.moreAllowed : node.type === 'any';
+    if (expression && _.trim(expression) !== 'any') {
+      const checks = this.checks(expression, path);
+      if (checks.length) properties.push(`checks: [\n${_.map(checks, check =>
+        `${_.repeat(' ', indent + 4)}${check}`).join(',\n')}\n${_.repeat(' ', indent + 2)}]`);
+    }
+    if (more || expression && _.trim(expression) === 'any') properties.push('more: true');
+    if (node.kind === 'object') {
+      const required = _.map(_.filter(node.entries, entry => entry.required && !entry.wildcard),
+        'name');
+      if (required.length) {
+        properties.push(`required: [${_.map(required, JSON.stringify).join(', ')}]`);
+      }
+      const children = _.reject(node.entries, 'wildcard');
+      if (children.length) {
+        properties.push(`children: {\n${_.map(children, entry =>
+          `${_.repeat(' ', indent + 4)}${JSON.stringify(entry.name)}: ` +
+          this.schemaNode(entry.node, `${path}/${entry.name}`, indent + 4)
+        ).join(',\n')}\n${_.repeat(' ', indent + 2)}}`);
+      }
+      const wildcard = _.find(node.entries, 'wildcard');
+      if (wildcard) {
+        properties.push(`variable: ${JSON.stringify(wildcard.name)}`);
+        properties.push(
+          `wildcard: ${this.schemaNode(wildcard.node, `${path}/${wildcard.name}`, indent + 2)}`);
+      }
+    }
+    if (!properties.length) return '{}';
+    return `{\n${_.map(properties, property => `${_.repeat(' ', indent + 2)}${property}`)
+      .join(',\n')}\n${_.repeat(' ', indent)}}`;
+  }
+
+  // Returns the code of a [test, message] pair for every condition of the constraint that can be
+  // checked on the client, and records the others as server-only.
+  checks(expression, path) {
+    let ast;
+    try {
+      ast = esprima.parse(expression).body[0].expression;
+    } catch {
+      // Syntax errors are reported by the compiler instead.
+      return [];
+    }
+    return _.compact(_.map(this.conditions(ast, []), condition => {
+      try {
+        const code = this.translate(condition.ast).code;
+        return `[(value, vars) => ${code}, ${JSON.stringify(this.describe(condition.ast))}]`;
+      } catch (e) {
+        if (!(e instanceof ServerOnly)) throw e;
+        const key = path || '/';
+        this.serverOnly[key] = _.union(this.serverOnly[key], [generate(condition.ast)]);
+      }
+    }));
+  }
+
+  // Splits an expression into its conditions, expanding any function whose body is itself a list of
+  // conditions so that each gets checked and reported separately.
+  conditions(ast, stack) {
+    return _.flatMap(flatten(ast), term => {
+      const call = this.functionCall(term);
+      // Library functions are reported as a whole, rather than by their implementation.
+      if (!call || call.library || _.includes(stack, call.name)) return [{ast: term}];
+      return this.conditions(call.ast, stack.concat([call.name]));
+    });
+  }
+
+  // Returns the body of the user function called by the node, with its arguments substituted.
+  functionCall(node) {
+    const name = node.type === 'Identifier' ? node.name :
+      node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name;
+    const fn = name && this.functions[name];
+    const args = node.type === 'CallExpression' ? node.arguments : [];
+    if (!fn || fn.args.length !== args.length) return;
+    const bindings = _.zipObject(fn.args, args);
+    const ast = estraverse.replace(esprima.parse(fn.body).body[0].expression, {
+      enter: (child, parent) => {
+        if (child.type === 'Identifier' && _.has(bindings, child.name) && !(
+          parent && parent.type === 'MemberExpression' && !parent.computed &&
+          parent.property === child
+        )) {
+          return bindings[child.name];
+        }
+      }
+    });
+    return {name, ast, library: fn.library};
+  }
+
+  describe(ast) {
+    if (ast.type === 'Identifier' && TYPES[ast.name]) return `must be a ${TYPES[ast.name]}`;
+    if (ast.type === 'CallExpression' && ast.callee.type === 'Identifier' &&
+        (ast.callee.name === 'oneOf' || ast.callee.name === 'is')) {
+      return `must be ${ast.callee.name === 'is' ? '' : 'one of '}` +
+        _.map(ast.arguments, generate).join(', ');
+    }
+    return `must satisfy ${generate(ast)}`;
+  }
+
+  // Translates a rule expression into JavaScript that evaluates it against the value being
+  // written.  Snapshots of the value are represented by the value itself.
+  translate(node) {
+    switch (node.type) {
+      case 'Literal':
+        return {code: generate(node)};
+      case 'Identifier':
+        if (node.name === 'next' || node.name === 'newData') return {code: 'value', snapshot: true};
+        if (TYPES[node.name]) return {code: `typeof value === '${TYPES[node.name]}'`};
+        if (node.name === 'any') return {code: 'true'};
+        if (node.name.charAt(0) === '$') return {code: `vars[${JSON.stringify(node.name)}]`};
+        if (this.functionCall(node)) return this.translate(this.functionCall(node).ast);
+        break;
+      case 'UnaryExpression':
+        return {code: `${node.operator}(${this.translate(node.argument).code})`};
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        return {code: `(${this.translate(node.left).code} ${OPERATORS[node.operator] ||
+          node.operator} ${this.translate(node.right).code})`};
+      case 'ConditionalExpression':
+        return {code: `(${this.translate(node.test).code} ? ` +
+          `${this.translate(node.consequent).code} : ${this.translate(node.alternate).code})`};
+      case 'MemberExpression': {
+        const object = this.translate(node.object);
+        const key = node.computed ? this.translate(node.property).code :
+          JSON.stringify(node.property.name);
+        if (object.snapshot) return {code: `child(${object.code}, ${key})`, snapshot: true};
+        if (!node.computed && node.property.name === 'length') {
+          return {code: `${object.code}.length`};
+        }
+        break;
+      }
+      case 'CallExpression':
+        return this.translateCall(node);
+    }
+    throw new ServerOnly(generate(node));
+  }
+
+  translateCall(node) {
+    const args = () => _.map(node.arguments, arg => this.translate(arg).code);
+    if (node.callee.type === 'Identifier') {
+      const name = node.callee.name;
+      if ((name === 'oneOf' || name === 'is') && _.every(node.arguments, {type: 'Literal'})) {
+        return {code: `[${args().join(', ')}].includes(value)`};
+      }
+      const call = this.functionCall(node);
+      if (call) return this.translate(call.ast);
+      throw new ServerOnly(generate(node));
+    }
+    if (node.callee.type !== 'MemberExpression' || node.callee.computed) {
+      throw new ServerOnly(generate(node));
+    }
+    const object = this.translate(node.callee.object);
+    const method = node.callee.property.name;
+    if (object.snapshot) {
+      switch (method) {
+        case 'val': return {code: object.code};
+        case 'exists': return {code: `(${object.code} !== null)`};
+        case 'child': return {code: `child(${object.code}, ${args()[0]})`, snapshot: true};
+        case 'hasChild': return {code: `(child(${object.code}, ${args()[0]}) !== null)`};
+        case 'hasChildren':
+          return {code: `hasChildren(${[object.code].concat(args()).join(', ')})`};
+      }
+      if (TYPE_CHECKS[method]) return {code: `typeof ${object.code} === '${TYPE_CHECKS[method]}'`};
+    } else {
+      if (STRING_METHODS[method]) {
+        return {code: `${object.code}.${STRING_METHODS[method]}(${args().join(', ')})`};
+      }
+      if (method === 'matches') return {code: `${args()[0]}.test(${object.code})`};
+      if (method === 'replace') {
+        return {code: `${object.code}.split(${args()[0]}).join(${args()[1]})`};
+      }
+    }
+    throw new ServerOnly(generate(node));
+  }
+}
+
+
+exports.generateValidators = function(source, options) {
+  return new ValidatorGenerator(source, options).generate();
+};